@@ -0,0 +1,69 @@
+/**
+ * @file Public events and JS API for BunnyMoTags
+ * Lets other extensions (trackers, memory summarizers) follow what BunnyMoTags decides.
+ *
+ * Events go through SillyTavern's eventSource:
+ *   import { eventSource } from '../../../../script.js';
+ *   eventSource.on('bunnymo_characters_activated', ({ names }) => ...);
+ *
+ * The same event names, plus read-only accessors, are on window.BunnyMoTags:
+ *   window.BunnyMoTags.getCharacters()   - every scanned character
+ *   window.BunnyMoTags.getActive()       - the characters currently activated in this chat
+ *   window.BunnyMoTags.getTags('Luna')   - one character's tags (name or alias), null if unknown
+ *   window.BunnyMoTags.getDefinitions('Luna') - tag library definitions for that character's tags
+ *   await window.BunnyMoTags.injectNow() - detect and inject right away, resolves to the injected names
+ *   await window.BunnyMoTags.rescan('Roster') - re-read one scanned (or selected) lorebook, resolves to the
+ *                                            changed character names (null if BunnyMoTags does not scan it)
+ *   window.BunnyMoTags.acceptTags('Luna', { species: ['KITSUNE'] }) - add suggested tags to Luna in this chat
+ *                                            (as overrides, recorded as suggestion growth); returns the changed
+ *                                            categories, null if unknown
+ * Everything handed out is a copy; changing it does not change BunnyMoTags (only acceptTags writes).
+ */
+
+import { eventSource } from '../../../../script.js';
+
+/**
+ * Event names and their payloads.
+ * - CHARACTERS_ACTIVATED: { names: string[], characters: BunnyMoCharacter[] }
+ * - INJECTION_BUILT: { names: string[], text: string, block: string, format: string, depth: number, role: string }
+ *   text is the full injected prompt, block only the character data inside it
+ * - SCAN_COMPLETED: { characters: string[], characterRepos: number, tagLibraries: number, tagEntries: number }
+ * - REPO_ENTRY_CHANGED: { world: string, uid: number, change: 'added'|'updated'|'removed', characters: string[] }
+ *   characters holds the names the entry describes (before and after the change)
+ */
+const BUNNYMO_EVENTS = Object.freeze({
+    CHARACTERS_ACTIVATED: 'bunnymo_characters_activated',
+    INJECTION_BUILT: 'bunnymo_injection_built',
+    SCAN_COMPLETED: 'bunnymo_scan_completed',
+    REPO_ENTRY_CHANGED: 'bunnymo_repo_entry_changed'
+});
+
+// Copy a character so listeners cannot edit the scanned data through it
+const cloneCharacter = (character) => character ? structuredClone(character) : null;
+
+// Emit a BunnyMoTags event; listener errors are SillyTavern's to report, never ours to throw
+const emitBunnyMoEvent = async (event, payload) => {
+    try {
+        await eventSource.emit(event, payload);
+    } catch (error) {
+        console.error(`[BMT API] Listener for ${event} failed:`, error);
+    }
+};
+
+/**
+ * Publish window.BunnyMoTags.
+ * @param {{getCharacters: Function, getActive: Function, getTags: Function, getDefinitions: Function, injectNow: Function, rescan: Function, acceptTags: Function}} api
+ */
+const installBunnyMoApi = (api) => {
+    window.BunnyMoTags = Object.freeze({
+        events: BUNNYMO_EVENTS,
+        ...api
+    });
+};
+
+export {
+    BUNNYMO_EVENTS,
+    cloneCharacter,
+    emitBunnyMoEvent,
+    installBunnyMoApi
+};
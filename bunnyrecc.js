@@ -4,9 +4,11 @@
  */
 
 // Import necessary functions from SillyTavern core
-import { world_names, loadWorldInfo } from '../../../world-info.js';
+import { world_names, loadWorldInfo, createWorldInfoEntry as createLorebookEntry, saveWorldInfo } from '../../../world-info.js';
 import { getContext } from '../../../extensions.js';
 import { templateManager } from './templateManager.js';
+import { extractBunnyMoCharacters, parseTagBlock, normalizeCategory, normalizeTagValue } from './tagParser.js';
+import { buildTagVocabulary, getAllowedValues, validateTags } from './tagLibrary.js';
 
 // @ts-ignore
 import { Handlebars } from '../../../../../lib.js';
@@ -25,6 +27,13 @@ export class BunnyRecc {
         // Result persistence
         this.sessionKey = 'bunnyRecc_results';
         this.persistentResults = [];
+        
+        // The prompt each result thread started from, by threadId, for revisions. Memory only: it carries
+        // the selected lorebook content, and saving it with every result would overflow the saved session
+        this.threadPrompts = new Map();
+        
+        // The running request ({ controller, key }), so Stop can abort it
+        this.activeGeneration = null;
     }
 
     loadSettings() {
@@ -74,6 +83,8 @@ export class BunnyRecc {
             if (saved) {
                 const sessionData = JSON.parse(saved);
                 this.persistentResults = sessionData.results || [];
+                // Sessions saved by older versions still carry each thread's whole prompt; drop it
+                this.persistentResults.forEach(result => delete result.messages);
                 console.log('🐰 BunnyRecc: Loaded', this.persistentResults.length, 'previous results');
                 return true;
             }
@@ -105,11 +116,12 @@ export class BunnyRecc {
                     <div class="bunny-result-entry ${isLatest ? 'latest' : 'previous'}" style="margin-bottom: 30px; border: 1px solid var(--SmartThemeBorderColor); border-radius: 8px; padding: 15px;">
                         <div class="bunny-result-header" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px; padding-bottom: 10px; border-bottom: 1px solid var(--SmartThemeBorderColor);">
                             <div class="bunny-result-info">
-                                <h3 style="margin: 0;">✨ ${result.characterName}</h3>
+                                <h3 style="margin: 0;">✨ ${result.characterName} ${this.renderVersionLabel(result)}</h3>
                                 <small style="opacity: 0.7;">${timestamp} ${isLatest ? '(Latest)' : ''}</small>
+                                ${this.renderRevisionNote(result)}
                             </div>
                             <div class="bunny-result-actions">
-                                <button class="menu_button bunny-copy-btn" onclick="window.bunnyReccInstance.copyCharacterSheet('${encodeURIComponent(result.fullResponse)}')">
+                                <button class="menu_button bunny-copy-btn" onclick="window.bunnyReccInstance.copyCharacterSheet('${this.getThreadId(result)}', ${result.version || 1})">
                                     📋 Copy
                                 </button>
                             </div>
@@ -121,9 +133,11 @@ export class BunnyRecc {
                             <div class="bunny-results-tags" style="margin-top: 15px;">
                                 <h4>🏷️ BunnyTags (${result.tags.length}):</h4>
                                 <div class="bunny-tags-list">
-                                    ${result.tags.map(tag => `<span class="bunny-tag">${tag}</span>`).join('')}
+                                    ${this.renderResultTags(result)}
                                 </div>
+                                ${this.renderTagValidation(result)}
                             </div>
+                            ${this.renderRevisionControls(result)}
                         </div>
                     </div>
                 `;
@@ -519,6 +533,8 @@ export class BunnyRecc {
                                     ${this.createContextSelectionSection()}
                                     ${this.createTraitSelectionSection()}
                                     ${this.createPromptSection()}
+                                    ${this.createBatchSection()}
+                                    ${this.createInferSection()}
                                 </div>
                                 
                                 <div class="flex1">
@@ -761,6 +777,66 @@ export class BunnyRecc {
         `;
     }
 
+    createBatchSection() {
+        return `
+            <details class="wide100p" style="margin-top: 15px;">
+                <summary style="cursor: pointer; font-weight: 600;">📦 Batch Mode - a whole town or guild at once</summary>
+                <div style="margin-top: 10px;">
+                    <label for="bunnyRecc_batchCount" style="display: block;">Characters (5-20):</label>
+                    <input id="bunnyRecc_batchCount" class="text_pole" type="number" min="5" max="20" value="5" style="margin-bottom: 10px;">
+                    
+                    <label for="bunnyRecc_batchBrief" style="display: block;">Shared brief (optional - the Character Prompt is used when empty):</label>
+                    <textarea id="bunnyRecc_batchBrief" class="text_pole textarea_compact wide100p" rows="3" style="margin-bottom: 10px;"
+                              placeholder="Residents of a small fishing town on a haunted coast"></textarea>
+                    
+                    <small style="display: block; margin-bottom: 5px;">Per-slot constraints (optional):</small>
+                    <div id="bunnyRecc_batchSlots" style="display: flex; flex-direction: column; gap: 4px; margin-bottom: 10px;"></div>
+                    
+                    <button id="bunnyRecc_generateBatch" class="menu_button wide100p">
+                        📦 Generate Batch
+                    </button>
+                </div>
+            </details>
+        `;
+    }
+
+    createInferSection() {
+        const context = getContext();
+        const characters = context.characters || [];
+        const speakers = [...new Set((context.chat || [])
+            .filter(message => !message.is_user && !message.is_system && message.name)
+            .map(message => message.name))];
+        
+        return `
+            <details class="wide100p" style="margin-top: 15px;">
+                <summary style="cursor: pointer; font-weight: 600;">🔍 Infer Tags - bring an existing character into a repo</summary>
+                <div style="margin-top: 10px;">
+                    <div style="display: flex; gap: 15px; margin-bottom: 10px;">
+                        <label class="checkbox_label"><input type="radio" name="bunnyRecc_inferSource" value="card" checked> <span>Character card</span></label>
+                        <label class="checkbox_label"><input type="radio" name="bunnyRecc_inferSource" value="messages"> <span>Chat messages</span></label>
+                    </div>
+                    
+                    <label for="bunnyRecc_inferCharacter" style="display: block;">Character card:</label>
+                    <select id="bunnyRecc_inferCharacter" class="text_pole wide100p" style="margin-bottom: 10px;">
+                        ${characters.map((character, index) => `<option value="${index}" ${String(index) === String(context.characterId) ? 'selected' : ''}>${this.escapeHtml(character.name)}</option>`).join('')}
+                    </select>
+                    
+                    <label for="bunnyRecc_inferSpeaker" style="display: block;">Messages from (last N where they speak):</label>
+                    <div style="display: flex; gap: 8px; margin-bottom: 10px;">
+                        <select id="bunnyRecc_inferSpeaker" class="text_pole" style="flex: 1;">
+                            ${speakers.map(name => `<option value="${this.escapeHtml(name)}">${this.escapeHtml(name)}</option>`).join('')}
+                        </select>
+                        <input id="bunnyRecc_inferCount" class="text_pole" type="number" min="1" max="200" value="20" style="width: 80px;">
+                    </div>
+                    
+                    <button id="bunnyRecc_inferTags" class="menu_button wide100p">
+                        🔍 Infer Tags
+                    </button>
+                </div>
+            </details>
+        `;
+    }
+
     createResultsSection() {
         return `
             <div class="wide100p" style="display: flex; flex-direction: column; height: 100%;">
@@ -801,6 +877,12 @@ export class BunnyRecc {
         // Initialize per-chat config handlers
         this.setupPerChatConfigHandlers();
         
+        // Initialize batch mode
+        this.setupBatchHandlers();
+        
+        // Initialize tag inference
+        document.getElementById('bunnyRecc_inferTags')?.addEventListener('click', () => this.inferTags());
+        
         // Initialize generate button with chat state validation
         const generateBtn = document.getElementById('bunnyRecc_generate');
         if (generateBtn) {
@@ -1722,6 +1804,535 @@ export class BunnyRecc {
         }
     }
 
+    setupBatchHandlers() {
+        const countInput = document.getElementById('bunnyRecc_batchCount');
+        if (countInput) {
+            countInput.addEventListener('input', () => this.renderBatchSlots());
+            this.renderBatchSlots();
+        }
+        document.getElementById('bunnyRecc_generateBatch')?.addEventListener('click', () => this.generateBatch());
+    }
+    
+    getBatchCount() {
+        const count = parseInt(document.getElementById('bunnyRecc_batchCount')?.value) || 5;
+        return Math.min(20, Math.max(5, count));
+    }
+    
+    // One constraint input per slot, keeping what was already typed
+    renderBatchSlots() {
+        const container = document.getElementById('bunnyRecc_batchSlots');
+        if (!container) return;
+        
+        const values = Array.from(container.querySelectorAll('[data-slot]'), input => input.value);
+        container.innerHTML = Array.from({ length: this.getBatchCount() }, (_, index) => `
+            <input class="text_pole" data-slot="${index}" value="${this.escapeHtml(values[index] || '')}"
+                   placeholder="#${index + 1}: e.g. the blacksmith, gruff, <SPECIES:DWARF>">
+        `).join('');
+    }
+    
+    async generateBatch() {
+        const contextInfo = await this.getBunnyReccContext();
+        if (!contextInfo.hasValidContext) {
+            toastr.warning('Please open a chat first before generating characters.', '🐰 BunnyRecc');
+            return;
+        }
+        if (this.activeGeneration) {
+            toastr.info('A generation is already running. Stop it or wait for it to finish.', '🐰 BunnyRecc');
+            return;
+        }
+        
+        const formData = this.collectFormData();
+        const brief = document.getElementById('bunnyRecc_batchBrief')?.value.trim() || formData.prompt.trim();
+        if (!formData.profileId) {
+            this.showError('Please select a connection profile');
+            return;
+        }
+        if (!brief) {
+            this.showError('Please enter a shared brief or a character description');
+            return;
+        }
+        
+        const count = this.getBatchCount();
+        const constraints = Array.from(document.querySelectorAll('#bunnyRecc_batchSlots [data-slot]'), input => input.value.trim());
+        this.batch = {
+            brief,
+            formData,
+            items: Array.from({ length: count }, (_, index) => ({
+                index,
+                constraint: constraints[index] || '',
+                status: 'pending',
+                result: null,
+                error: null,
+                selected: false,
+                committedTo: null
+            }))
+        };
+        
+        const controller = new AbortController();
+        this.activeGeneration = { controller, key: 'batch' };
+        console.log(`🐰 BunnyRecc: Generating a batch of ${count} characters`);
+        
+        try {
+            // One at a time, so each character can be told who is already in the group
+            for (const item of this.batch.items) {
+                if (controller.signal.aborted) break;
+                await this.runBatchItem(item, controller.signal);
+            }
+        } finally {
+            this.activeGeneration = null;
+            this.renderBatchPanel();
+        }
+        
+        const done = this.batch.items.filter(item => item.status === 'done').length;
+        toastr.info(`Batch finished: ${done} of ${count} characters generated`, '🐰 BunnyRecc');
+    }
+    
+    buildBatchPrompt(item) {
+        const { brief, items } = this.batch;
+        const others = items.filter(other => other !== item && other.result).map(other => other.result.characterName);
+        
+        let prompt = `${brief}\n\nThis is character ${item.index + 1} of ${items.length} in a group; make them distinct from the rest of the group.`;
+        if (others.length > 0) {
+            prompt += ` Already in the group: ${others.join(', ')}.`;
+        }
+        if (item.constraint) {
+            prompt += `\nThis character must fit: ${item.constraint}`;
+        }
+        return prompt;
+    }
+    
+    async runBatchItem(item, signal) {
+        item.status = 'running';
+        item.error = null;
+        this.renderBatchPanel();
+        
+        try {
+            const result = await this.callAIForCharacterGeneration({ ...this.batch.formData, prompt: this.buildBatchPrompt(item) }, { signal });
+            await this.validateResultTags(result);
+            result.timestamp = Date.now();
+            this.persistentResults.push(result);
+            this.saveResultsSession();
+            
+            item.result = result;
+            item.status = 'done';
+            item.selected = true;
+        } catch (error) {
+            console.error(`🐰 BunnyRecc: Batch character #${item.index + 1} failed:`, error);
+            item.status = signal?.aborted ? 'stopped' : 'failed';
+            item.error = error.message;
+        }
+        this.renderBatchPanel();
+    }
+    
+    async retryBatchItem(index) {
+        const item = this.batch?.items[index];
+        if (!item) return;
+        if (this.activeGeneration) {
+            toastr.info('A generation is already running. Stop it or wait for it to finish.', '🐰 BunnyRecc');
+            return;
+        }
+        
+        const controller = new AbortController();
+        this.activeGeneration = { controller, key: `batch_${index}` };
+        try {
+            await this.runBatchItem(item, controller.signal);
+        } finally {
+            this.activeGeneration = null;
+            this.renderBatchPanel();
+        }
+    }
+    
+    toggleBatchItem(index, selected) {
+        const item = this.batch?.items[index];
+        if (item) {
+            item.selected = selected;
+        }
+    }
+    
+    // A batch character's latest version (it may have been revised or repaired since)
+    getBatchItemResult(item) {
+        return item.result ? this.getThreadVersions(this.getThreadId(item.result)).pop() || item.result : null;
+    }
+    
+    // Progress, one review row per character, and the commit bar
+    renderBatchPanel() {
+        const resultsDiv = document.getElementById('bunnyRecc_results');
+        if (!resultsDiv || !this.batch) return;
+        
+        let panel = document.getElementById('bunnyRecc_batchPanel');
+        if (!panel) {
+            resultsDiv.innerHTML = '';
+            panel = document.createElement('div');
+            panel.id = 'bunnyRecc_batchPanel';
+            resultsDiv.prepend(panel);
+        }
+        
+        const items = this.batch.items;
+        const running = this.activeGeneration?.key?.startsWith('batch');
+        const finished = items.filter(item => item.status === 'done').length;
+        const icons = { pending: '⏳', running: '🐰💫', done: '✅', failed: '❌', stopped: '⏹️' };
+        const { characterRepos } = this.getBunnyMoConfiguration();
+        const repos = characterRepos.filter(repo => world_names?.includes(repo));
+        
+        const rows = items.map(item => {
+            const result = this.getBatchItemResult(item);
+            const invalidCount = result?.validation?.invalid?.length || 0;
+            const canRun = !running && item.status !== 'done';
+            return `
+                <div style="border: 1px solid var(--SmartThemeBorderColor); border-radius: 6px; padding: 8px; margin-bottom: 6px;">
+                    <div style="display: flex; align-items: center; gap: 8px;">
+                        <input type="checkbox" ${result ? '' : 'disabled'} ${item.selected && result ? 'checked' : ''}
+                               onchange="window.bunnyReccInstance.toggleBatchItem(${item.index}, this.checked)">
+                        <span>${icons[item.status]} #${item.index + 1}</span>
+                        <strong>${result ? this.escapeHtml(result.characterName) : ''}</strong>
+                        <small style="opacity: 0.7;">${this.escapeHtml(item.constraint)}</small>
+                        <span style="flex: 1;"></span>
+                        ${invalidCount > 0 ? `<small style="color: #e74c3c;">⚠️ ${invalidCount} invalid tag${invalidCount === 1 ? '' : 's'}</small>` : ''}
+                        ${item.committedTo ? `<small>💾 ${this.escapeHtml(item.committedTo)}</small>` : ''}
+                        ${canRun ? `<button class="menu_button" onclick="window.bunnyReccInstance.retryBatchItem(${item.index})">${item.status === 'pending' ? '▶️ Run' : '🔄 Retry'}</button>` : ''}
+                    </div>
+                    ${item.error ? `<small style="color: #e74c3c;">${this.escapeHtml(item.error)}</small>` : ''}
+                    ${result ? `
+                        <details style="margin-top: 6px;">
+                            <summary style="cursor: pointer;">View sheet</summary>
+                            <div class="bunny-character-sheet">${this.formatCharacterSheetForDisplay(result.characterSheet)}</div>
+                            <div class="bunny-tags-list" style="margin-top: 8px;">${this.renderResultTags(result)}</div>
+                            ${this.renderTagValidation(result)}
+                        </details>
+                    ` : ''}
+                </div>
+            `;
+        }).join('');
+        
+        panel.innerHTML = `
+            <div style="display: flex; align-items: center; gap: 10px; margin-bottom: 10px;">
+                <h3 style="margin: 0;">📦 Batch: ${finished} of ${items.length}</h3>
+                <progress value="${finished}" max="${items.length}" style="flex: 1;"></progress>
+                ${running ? '<button class="menu_button" onclick="window.bunnyReccInstance.stopGeneration()">⏹️ Stop</button>' : ''}
+            </div>
+            ${rows}
+            <div style="display: flex; align-items: center; gap: 8px; margin-top: 10px;">
+                <select id="bunnyRecc_batchRepo" class="text_pole" style="flex: 1;" ${repos.length === 0 ? 'disabled' : ''}>
+                    ${repos.length > 0
+                        ? repos.map(repo => `<option value="${this.escapeHtml(repo)}">${this.escapeHtml(repo)}</option>`).join('')
+                        : '<option>Mark a lorebook as a Character Repo (👤) first</option>'}
+                </select>
+                <button class="menu_button" ${running || repos.length === 0 ? 'disabled' : ''} onclick="window.bunnyReccInstance.commitBatch()">
+                    💾 Save Selected to Repo
+                </button>
+            </div>
+        `;
+    }
+    
+    // Re-render the batch review list if it is still on screen (revisions and repairs change its characters)
+    refreshBatchPanel() {
+        if (document.getElementById('bunnyRecc_batchPanel')) {
+            this.renderBatchPanel();
+        }
+    }
+    
+    // Write every selected batch character to one repo with a single save. Characters already in the repo
+    // are listed in the confirmation before their entries are replaced; duplicates within the batch are refused.
+    async commitBatch() {
+        const repo = document.getElementById('bunnyRecc_batchRepo')?.value;
+        const items = (this.batch?.items || []).filter(item => item.selected && item.result);
+        if (!repo || items.length === 0) {
+            toastr.warning('Select at least one generated character.', '🐰 BunnyRecc');
+            return;
+        }
+        
+        let lorebook;
+        try {
+            lorebook = await loadWorldInfo(repo);
+            if (!lorebook?.entries) {
+                throw new Error(`Could not load ${repo}`);
+            }
+        } catch (error) {
+            console.error('🐰 BunnyRecc: Failed to load the batch repo:', error);
+            toastr.error(`Could not save the batch: ${error.message}`, '🐰 BunnyRecc');
+            return;
+        }
+        
+        const writes = items.map(item => {
+            const entryData = this.buildRepoEntryData(this.getBatchItemResult(item));
+            return { item, entryData, existing: this.findRepoEntry(lorebook, entryData.name) };
+        });
+        
+        // Two characters with one name, or matching one existing entry, would be written into the same entry
+        const duplicates = writes.filter((write, index) => writes.findIndex(other =>
+            other.entryData.name.toLowerCase() === write.entryData.name.toLowerCase()
+            || (write.existing && other.existing === write.existing)) !== index);
+        if (duplicates.length > 0) {
+            const names = [...new Set(duplicates.map(write => write.entryData.name))];
+            toastr.warning(`${names.join(', ')} would share an entry with another selected character. Revise or deselect the duplicates first.`, '🐰 BunnyRecc');
+            return;
+        }
+        
+        const escape = (text) => this.escapeHtml(text);
+        const clashes = writes.filter(write => write.existing);
+        const invalidCount = items.filter(item => this.getBatchItemResult(item).validation?.invalid?.length > 0).length;
+        const context = getContext();
+        const confirmed = await context.callGenericPopup(`
+            <p>Save ${items.length} characters to ${escape(repo)}?</p>
+            ${clashes.length > 0 ? `
+                <p>⚠️ ${clashes.length} already ${clashes.length === 1 ? 'has an entry' : 'have entries'} in ${escape(repo)}. Their content and keys are replaced:</p>
+                <ul style="text-align: left;">
+                    ${clashes.map(({ entryData, existing }) => `<li>${escape(entryData.name)} → #${existing.uid}${existing.comment ? ` "${escape(existing.comment)}"` : ''}</li>`).join('')}
+                </ul>
+            ` : ''}
+            ${invalidCount > 0 ? `<p>${invalidCount} of them still have tags that are not in your tag libraries.</p>` : ''}
+        `, context.POPUP_TYPE.CONFIRM, '', { okButton: 'Save', cancelButton: 'Cancel' });
+        if (!confirmed) return;
+        
+        try {
+            const counts = { Created: 0, Updated: 0 };
+            writes.forEach(({ item, entryData, existing }) => {
+                const { action } = this.writeRepoEntry(repo, lorebook, entryData, existing);
+                counts[action]++;
+                item.committedTo = repo;
+            });
+            await saveWorldInfo(repo, lorebook, true);
+            console.log(`🐰 BunnyRecc: Saved a batch to ${repo}: ${counts.Created} created, ${counts.Updated} updated`);
+            toastr.success(`${counts.Created} created, ${counts.Updated} updated in ${repo}`, '🐰 BunnyRecc');
+        } catch (error) {
+            console.error('🐰 BunnyRecc: Failed to save the batch:', error);
+            toastr.error(`Could not save the batch: ${error.message}`, '🐰 BunnyRecc');
+        }
+        this.renderBatchPanel();
+    }
+
+    // The text tags are inferred from: a character card, or the last N messages one character spoke
+    getInferenceSource() {
+        const context = getContext();
+        const mode = document.querySelector('input[name="bunnyRecc_inferSource"]:checked')?.value || 'card';
+        
+        if (mode === 'card') {
+            const character = context.characters?.[document.getElementById('bunnyRecc_inferCharacter')?.value];
+            if (!character) return null;
+            return { name: character.name, label: `character card of ${character.name}`, text: this.formatCharacterCard(character) };
+        }
+        
+        const speaker = document.getElementById('bunnyRecc_inferSpeaker')?.value;
+        const count = Math.max(1, parseInt(document.getElementById('bunnyRecc_inferCount')?.value) || 20);
+        const messages = (context.chat || []).filter(message => message.name === speaker && !message.is_user && !message.is_system).slice(-count);
+        if (!speaker || messages.length === 0) return null;
+        return {
+            name: speaker,
+            label: `last ${messages.length} messages of ${speaker}`,
+            text: messages.map(message => `${message.name}: ${message.mes}`).join('\n\n')
+        };
+    }
+    
+    // The tag libraries as a prompt list: one line per declared category, then the library tags that fit any category
+    formatVocabularyForPrompt(vocabulary) {
+        if (vocabulary.categories.size === 0) {
+            return `Values (choose a fitting category for each): ${Array.from(vocabulary.values).join(', ')}`;
+        }
+        const lines = Array.from(vocabulary.categories.entries())
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([category, values]) => `${category.toUpperCase()}: ${Array.from(values).join(', ')}`);
+        if (vocabulary.keys.size > 0) {
+            lines.push(`Any of the categories above: ${Array.from(vocabulary.keys).join(', ')}`);
+        }
+        return lines.join('\n');
+    }
+    
+    /**
+     * Parse "<CATEGORY:VALUE> "quote"" lines into suggestions and check each against the libraries and the source.
+     * @returns {{category: string, value: string, tag: string, quote: string, quoteFound: boolean, problem: object|null, selected: boolean}[]}
+     */
+    parseInferredTags(text, source, vocabulary) {
+        const squash = (value) => String(value).toLowerCase().replace(/\s+/g, ' ').trim();
+        const sourceText = squash(source.text);
+        const suggestions = [];
+        
+        String(text).split('\n').forEach(line => {
+            const match = line.match(/<([^:<>]+):([^<>]+)>(.*)$/);
+            if (!match) return;
+            const category = normalizeCategory(match[1]);
+            const value = normalizeTagValue(match[2]);
+            if (!category || !value || category === 'name' || suggestions.some(other => other.category === category && other.value === value)) return;
+            
+            const rest = match[3].trim();
+            const quote = (rest.match(/["“]([^"”]+)["”]/)?.[1] ?? rest.replace(/^[\s\-—:|]+/, '')).trim();
+            const [problem] = validateTags({ [category]: [value] }, vocabulary);
+            const quoteFound = Boolean(quote) && sourceText.includes(squash(quote));
+            suggestions.push({
+                category,
+                value,
+                tag: `<${category.toUpperCase()}:${value}>`,
+                quote,
+                quoteFound,
+                problem: problem || null,
+                // Pre-selected only when it is a library tag justified by words really in the source
+                selected: !problem && quoteFound
+            });
+        });
+        return suggestions;
+    }
+    
+    async inferTags() {
+        if (this.activeGeneration) {
+            toastr.info('A generation is already running. Stop it or wait for it to finish.', '🐰 BunnyRecc');
+            return;
+        }
+        
+        const profileId = document.getElementById('bunnyRecc_connectionProfile')?.value;
+        if (!profileId) {
+            this.showError('Please select a connection profile');
+            return;
+        }
+        const source = this.getInferenceSource();
+        if (!source) {
+            toastr.warning('Pick a character card, or a character who speaks in this chat.', '🐰 BunnyRecc');
+            return;
+        }
+        const vocabulary = await this.loadTagVocabulary();
+        if (vocabulary.categories.size === 0 && vocabulary.values.size === 0) {
+            toastr.warning('Select tag libraries in the BunnyMoTags settings first - inferred tags may only use library tags.', '🐰 BunnyRecc');
+            return;
+        }
+        
+        const messages = [{
+            role: 'system',
+            content: 'You tag characters for BunnyMo. Read the source and choose the tags that describe the character, '
+                + `using ONLY these tags:\n${this.formatVocabularyForPrompt(vocabulary)}\n\n`
+                + 'For every tag, quote the exact words from the source that justify it. Answer with one tag per line, in the form:\n'
+                + '<CATEGORY:VALUE> "exact quote from the source"\n'
+                + 'Leave out categories the source gives no evidence for. Write nothing else.'
+        }, {
+            role: 'user',
+            content: `Source (${source.label}):\n${source.text}`
+        }];
+        
+        this.inference = { source, suggestions: [], running: true };
+        this.renderInferencePanel();
+        const controller = new AbortController();
+        this.activeGeneration = { controller, key: 'infer' };
+        
+        try {
+            const { response, incomplete } = await this.sendGenerationRequest(profileId, messages, 1000, { signal: controller.signal });
+            const text = typeof response === 'string' ? response : response?.content ?? response?.choices?.[0]?.message?.content ?? '';
+            this.inference.suggestions = this.parseInferredTags(text, source, vocabulary);
+            this.inference.incomplete = incomplete;
+            console.log(`🐰 BunnyRecc: Inferred ${this.inference.suggestions.length} tags for ${source.name}`);
+        } catch (error) {
+            console.error('🐰 BunnyRecc: Tag inference failed:', error);
+            this.inference.error = error.message;
+        } finally {
+            this.activeGeneration = null;
+            this.inference.running = false;
+            this.renderInferencePanel();
+        }
+    }
+    
+    toggleInferredTag(index, selected) {
+        const suggestion = this.inference?.suggestions[index];
+        if (!suggestion) return;
+        suggestion.selected = selected;
+        const block = document.getElementById('bunnyRecc_inferBlock');
+        if (block) {
+            block.value = this.buildRepoEntryData(this.getInferredResult()).content;
+        }
+    }
+    
+    // The accepted suggestions as a result that can be copied or saved like a generated one
+    getInferredResult() {
+        const selected = this.inference.suggestions.filter(suggestion => suggestion.selected);
+        return {
+            characterName: this.inference.source.name,
+            characterSheet: '',
+            fullResponse: '',
+            tags: selected.map(suggestion => suggestion.tag),
+            validation: { invalid: selected.map(suggestion => suggestion.problem).filter(Boolean) }
+        };
+    }
+    
+    renderInferencePanel() {
+        const resultsDiv = document.getElementById('bunnyRecc_results');
+        if (!resultsDiv || !this.inference) return;
+        
+        const { source, suggestions, running, error, incomplete } = this.inference;
+        let body;
+        if (running) {
+            body = `
+                <div class="bunny-loading">
+                    <div class="bunny-loading-icon">🐰🔍</div>
+                    <p>Reading the ${this.escapeHtml(source.label)}...</p>
+                    <button class="menu_button" onclick="window.bunnyReccInstance.stopGeneration()">⏹️ Stop</button>
+                </div>
+            `;
+        } else if (error) {
+            body = `<p class="bunny-error-message">${this.escapeHtml(error)}</p>`;
+        } else if (suggestions.length === 0) {
+            body = '<p>No tags could be inferred from this source.</p>';
+        } else {
+            const rows = suggestions.map((suggestion, index) => `
+                <label style="display: flex; gap: 8px; align-items: flex-start; padding: 6px 0; border-bottom: 1px solid var(--SmartThemeBorderColor);">
+                    <input type="checkbox" ${suggestion.selected ? 'checked' : ''} onchange="window.bunnyReccInstance.toggleInferredTag(${index}, this.checked)">
+                    <span style="flex: 1;">
+                        <span class="bunny-tag" ${suggestion.problem ? 'style="outline: 2px solid #e74c3c;"' : ''}>${this.escapeHtml(suggestion.tag)}</span>
+                        ${suggestion.problem ? `<small style="color: #e74c3c;"> ⚠️ ${this.escapeHtml(this.describeTagProblem(suggestion.problem))}</small>` : ''}
+                        <div><small style="opacity: 0.85;">“${this.escapeHtml(suggestion.quote || 'no justification given')}”</small>
+                        ${suggestion.quoteFound ? '' : '<small style="color: #f39c12;" title="These words do not appear in the source"> (quote not found in the source)</small>'}</div>
+                    </span>
+                </label>
+            `).join('');
+            body = `
+                ${incomplete ? '<p style="color: #f39c12;">⚠️ Stopped early - the list may be incomplete.</p>' : ''}
+                ${rows}
+                <textarea id="bunnyRecc_inferBlock" class="text_pole wide100p" rows="4" readonly style="margin-top: 10px;">${this.escapeHtml(this.buildRepoEntryData(this.getInferredResult()).content)}</textarea>
+                <div style="display: flex; gap: 6px; margin-top: 6px;">
+                    <button class="menu_button" onclick="window.bunnyReccInstance.copyInferredTags()">📋 Copy Block</button>
+                    <button class="menu_button" onclick="window.bunnyReccInstance.saveInferredTags()">🌍 Save to Repo</button>
+                    ${window.BunnyMoTags?.getTags?.(source.name) ? '<button class="menu_button" title="Add the selected tags to this chat only, as overrides" onclick="window.bunnyReccInstance.applyInferredTags()">✎ Apply to This Chat</button>' : ''}
+                </div>
+            `;
+        }
+        
+        resultsDiv.innerHTML = `
+            <div id="bunnyRecc_inferPanel">
+                <h3 style="margin-top: 0;">🔍 Inferred tags for ${this.escapeHtml(source.name)}</h3>
+                <small style="opacity: 0.7;">From the ${this.escapeHtml(source.label)}. Only library tags with a quote found in the source are pre-selected.</small>
+                ${body}
+            </div>
+        `;
+    }
+    
+    copyInferredTags() {
+        const block = this.buildRepoEntryData(this.getInferredResult()).content;
+        navigator.clipboard.writeText(block).then(() => {
+            this.showNotification('Tag block copied to clipboard!');
+        });
+    }
+    
+    // Accept the selected tags for a character BunnyMoTags already knows, in this chat only
+    applyInferredTags() {
+        const result = this.getInferredResult();
+        if (result.tags.length === 0) {
+            toastr.warning('Select at least one tag.', '🐰 BunnyRecc');
+            return;
+        }
+        const changed = window.BunnyMoTags?.acceptTags?.(result.characterName, parseTagBlock(result.tags.join('')).tags);
+        if (!changed) {
+            toastr.warning(`${result.characterName} is not in a scanned character repo.`, '🐰 BunnyRecc');
+            return;
+        }
+        console.log(`🐰 BunnyRecc: Accepted ${result.tags.length} inferred tags for ${result.characterName} in this chat`);
+        toastr.success(changed.length > 0
+            ? `Added to ${result.characterName} in this chat: ${changed.join(', ')}`
+            : `${result.characterName} already had these tags`, '🐰 BunnyRecc');
+    }
+    
+    saveInferredTags() {
+        const result = this.getInferredResult();
+        if (result.tags.length === 0) {
+            toastr.warning('Select at least one tag.', '🐰 BunnyRecc');
+            return;
+        }
+        return this.saveResultToRepo(result);
+    }
+
     async generateCharacter() {
         console.log('🐰 BunnyRecc: generateCharacter() called');
         
@@ -1744,12 +2355,23 @@ export class BunnyRecc {
             return;
         }
         
+        if (this.activeGeneration) {
+            toastr.info('A generation is already running. Stop it or wait for it to finish.', '🐰 BunnyRecc');
+            return;
+        }
+        
         // Show loading state
         this.showLoadingState();
+        const controller = new AbortController();
+        this.activeGeneration = { controller, key: 'generate' };
         
         try {
-            // Generate character using AI
-            const result = await this.callAIForCharacterGeneration(formData);
+            // Generate character using AI, streaming the sheet into the loading view
+            const result = await this.callAIForCharacterGeneration(formData, {
+                signal: controller.signal,
+                onProgress: (text) => this.updateStreamPreview('bunnyRecc_streamPreview', text)
+            });
+            await this.validateResultTags(result);
             
             // Display results
             this.displayGenerationResults(result);
@@ -1759,6 +2381,9 @@ export class BunnyRecc {
         } catch (error) {
             console.error('🐰 BunnyRecc: Generation failed:', error);
             this.showError('Failed to generate character: ' + error.message);
+        } finally {
+            this.activeGeneration = null;
+            document.querySelectorAll('#bunnyRecc_results .bunny-loading, #bunnyRecc_streamPreview').forEach(element => element.remove());
         }
     }
 
@@ -1808,7 +2433,11 @@ export class BunnyRecc {
                     <div class="bunny-loading-icon">🐰💫</div>
                     <p>Creating your character...</p>
                     <div class="bunny-loading-spinner"></div>
+                    <button id="bunnyRecc_stop" class="menu_button" onclick="window.bunnyReccInstance.stopGeneration()">
+                        ⏹️ Stop
+                    </button>
                 </div>
+                <div id="bunnyRecc_streamPreview" style="white-space: pre-wrap; text-align: left; opacity: 0.85;"></div>
             `;
         }
     }
@@ -1825,7 +2454,27 @@ export class BunnyRecc {
         }
     }
 
-    async callAIForCharacterGeneration(formData) {
+    // Abort the running generation or revision; what has streamed in so far is kept as an incomplete result
+    stopGeneration() {
+        if (!this.activeGeneration) return;
+        console.log('🐰 BunnyRecc: Stopping generation...');
+        this.activeGeneration.controller.abort();
+    }
+    
+    updateStreamPreview(elementId, text) {
+        const preview = document.getElementById(elementId);
+        if (!preview) return;
+        preview.textContent = text;
+        if (text) {
+            preview.scrollIntoView({ block: 'end' });
+        }
+    }
+
+    /**
+     * @param {object} formData - From collectFormData
+     * @param {{signal?: AbortSignal, onProgress?: function(string): void}} [streamOptions] - Streams when onProgress is given
+     */
+    async callAIForCharacterGeneration(formData, streamOptions = {}) {
         console.log('🐰 BunnyRecc: Calling AI for character generation...', formData);
         
         try {
@@ -1840,11 +2489,6 @@ export class BunnyRecc {
                              document.getElementById('bunnyRecc_maxTokens_counter')?.value || 
                              this.settings.maxResponseToken || 1500;
             
-            // Call AI using SillyTavern's ConnectionManagerRequestService
-            const context = getContext();
-            
-            console.log(`🐰 BunnyRecc: Sending request to profile ${formData.profileId} with ${maxTokens} max tokens`);
-            
             // Ensure prompt is clean text (no malformed JSON or objects)
             const cleanPrompt = typeof prompt === 'string' ? prompt : String(prompt);
             
@@ -1857,74 +2501,130 @@ export class BunnyRecc {
                 content: `${formData.prompt}\n\nGenerate a character based on this request using the exact format specified in the system instructions.`
             }];
             
-            // Validate connection profile before making request (like WorldInfo-Recommender)
-            if (!formData.profileId) {
-                throw new Error('No connection profile selected.');
-            }
-            
-            const profile = context.extensionSettings.connectionManager?.profiles?.find((profile) => profile.id === formData.profileId);
-            if (!profile) {
-                throw new Error(`Connection profile with ID "${formData.profileId}" not found.`);
-            }
+            const { response, incomplete } = await this.sendGenerationRequest(formData.profileId, messages, maxTokens, streamOptions);
             
-            const selectedApi = profile.api ? context.CONNECT_API_MAP[profile.api].selected : undefined;
-            if (!selectedApi) {
-                throw new Error(`Could not determine API for profile "${profile.name}".`);
-            }
+            // Process the AI response
+            const result = this.processAIResponse(response, formData);
             
-            console.log('🐰 BunnyRecc: DEBUG - Profile Resolution Details:', {
+            // Keep the prompt so the sheet can be revised later (see reviseCharacter)
+            const threadId = `bunnyrecc-${Date.now()}`;
+            this.threadPrompts.set(threadId, messages);
+            Object.assign(result, {
+                threadId,
+                version: 1,
+                incomplete,
                 profileId: formData.profileId,
-                profileName: profile.name,
-                profileApi: profile.api,
-                selectedApiName: selectedApi?.name || 'unknown',
-                selectedApiType: selectedApi?.type || 'unknown',
-                selectedApiUrl: selectedApi?.url || 'unknown',
-                allAvailableProfiles: context.extensionSettings.connectionManager?.profiles?.map(p => ({
-                    id: p.id.substring(0, 8) + '...', 
-                    name: p.name, 
-                    api: p.api
-                })) || 'none',
-                CONNECT_API_MAP_KEYS: Object.keys(context.CONNECT_API_MAP || {}),
-                actualSelectedAPI: context.CONNECT_API_MAP[profile.api] ? {
-                    name: context.CONNECT_API_MAP[profile.api].selected?.name,
-                    type: context.CONNECT_API_MAP[profile.api].selected?.type,
-                    url: context.CONNECT_API_MAP[profile.api].selected?.url
-                } : 'not found',
-                messageCount: messages.length,
-                maxTokens: maxTokens
+                maxTokens
             });
             
-            // Additional validation: Check if the API is actually what we expect
-            if (selectedApi?.name?.toLowerCase().includes('gemini') && !selectedApi?.name?.toLowerCase().includes('flash')) {
-                console.warn('🐰 BunnyRecc: WARNING - Selected API appears to be Gemini Pro instead of Flash!');
-                console.warn('🐰 BunnyRecc: Expected Flash but got:', selectedApi.name);
-                console.warn('🐰 BunnyRecc: Profile API field:', profile.api);
-                console.warn('🐰 BunnyRecc: This may indicate a profile configuration issue');
-            }
+            console.log('🐰 BunnyRecc: Character generation completed successfully');
+            return result;
             
+        } catch (error) {
+            console.error('🐰 BunnyRecc: AI generation failed:', error);
+            throw new Error(`Character generation failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Send a message list to a connection profile through SillyTavern's ConnectionManagerRequestService.
+     * @param {string} profileId - Connection profile
+     * @param {object[]} messages - Chat messages
+     * @param {number} maxTokens - Response length
+     * @param {{signal?: AbortSignal, onProgress?: function(string): void}} [streamOptions] - With onProgress the response
+     *   streams and onProgress gets the text so far; aborting the signal keeps what arrived
+     * @returns {Promise<{response: *, incomplete: boolean}>} incomplete when the signal stopped the response early
+     * @throws {Error} When the request fails or is stopped before any text arrived
+     */
+    async sendGenerationRequest(profileId, messages, maxTokens, { signal = null, onProgress = null } = {}) {
+        const context = getContext();
+        
+        console.log(`🐰 BunnyRecc: Sending request to profile ${profileId} with ${maxTokens} max tokens`);
+        
+        // Validate connection profile before making request (like WorldInfo-Recommender)
+        if (!profileId) {
+            throw new Error('No connection profile selected.');
+        }
+        
+        const profile = context.extensionSettings.connectionManager?.profiles?.find((profile) => profile.id === profileId);
+        if (!profile) {
+            throw new Error(`Connection profile with ID "${profileId}" not found.`);
+        }
+        
+        const selectedApi = profile.api ? context.CONNECT_API_MAP[profile.api].selected : undefined;
+        if (!selectedApi) {
+            throw new Error(`Could not determine API for profile "${profile.name}".`);
+        }
+        
+        console.log('🐰 BunnyRecc: DEBUG - Profile Resolution Details:', {
+            profileId: profileId,
+            profileName: profile.name,
+            profileApi: profile.api,
+            selectedApiName: selectedApi?.name || 'unknown',
+            selectedApiType: selectedApi?.type || 'unknown',
+            selectedApiUrl: selectedApi?.url || 'unknown',
+            allAvailableProfiles: context.extensionSettings.connectionManager?.profiles?.map(p => ({
+                id: p.id.substring(0, 8) + '...', 
+                name: p.name, 
+                api: p.api
+            })) || 'none',
+            CONNECT_API_MAP_KEYS: Object.keys(context.CONNECT_API_MAP || {}),
+            actualSelectedAPI: context.CONNECT_API_MAP[profile.api] ? {
+                name: context.CONNECT_API_MAP[profile.api].selected?.name,
+                type: context.CONNECT_API_MAP[profile.api].selected?.type,
+                url: context.CONNECT_API_MAP[profile.api].selected?.url
+            } : 'not found',
+            messageCount: messages.length,
+            maxTokens: maxTokens
+        });
+        
+        // Additional validation: Check if the API is actually what we expect
+        if (selectedApi?.name?.toLowerCase().includes('gemini') && !selectedApi?.name?.toLowerCase().includes('flash')) {
+            console.warn('🐰 BunnyRecc: WARNING - Selected API appears to be Gemini Pro instead of Flash!');
+            console.warn('🐰 BunnyRecc: Expected Flash but got:', selectedApi.name);
+            console.warn('🐰 BunnyRecc: Profile API field:', profile.api);
+            console.warn('🐰 BunnyRecc: This may indicate a profile configuration issue');
+        }
+        
+        let text = '';
+        try {
             const response = await context.ConnectionManagerRequestService.sendRequest(
-                formData.profileId,
+                profileId,
                 messages,
                 maxTokens,
                 {
-                    stream: false,
-                    signal: null,
+                    stream: Boolean(onProgress),
+                    signal,
                     extractData: true,
                     includePreset: true,
                     includeInstruct: true
                 }
             );
             
-            // Process the AI response
-            const result = this.processAIResponse(response, formData);
-            
-            console.log('🐰 BunnyRecc: Character generation completed successfully');
-            return result;
+            // Without streaming (or when the API cannot stream) the whole response comes back at once
+            if (typeof response !== 'function') {
+                return { response, incomplete: false };
+            }
             
+            // Streamed chunks carry the full text so far
+            for await (const chunk of response()) {
+                text = chunk?.text ?? text;
+                onProgress(text);
+            }
         } catch (error) {
-            console.error('🐰 BunnyRecc: AI generation failed:', error);
-            throw new Error(`Character generation failed: ${error.message}`);
+            if (!signal?.aborted) {
+                throw error;
+            }
+        }
+        
+        if (signal?.aborted) {
+            if (!text.trim()) {
+                throw new Error('Stopped before any text arrived');
+            }
+            console.log(`🐰 BunnyRecc: Stopped early, keeping ${text.length} characters`);
+            return { response: text, incomplete: true };
         }
+        return { response: text, incomplete: false };
     }
 
     async buildGenerationContext(formData) {
@@ -1947,8 +2647,7 @@ export class BunnyRecc {
         
         // Include character card if requested  
         if (formData.contextOptions.charCard && context.characters?.[context.characterId]) {
-            const character = context.characters[context.characterId];
-            generationContext.characterCard = `Name: ${character.name}\nDescription: ${character.description}\nPersonality: ${character.personality}\nScenario: ${character.scenario}\nFirst Message: ${character.first_mes}`;
+            generationContext.characterCard = this.formatCharacterCard(context.characters[context.characterId]);
         }
         
         // Include World Info if requested
@@ -1972,6 +2671,10 @@ export class BunnyRecc {
         return generationContext;
     }
     
+    formatCharacterCard(character) {
+        return `Name: ${character.name}\nDescription: ${character.description}\nPersonality: ${character.personality}\nScenario: ${character.scenario}\nFirst Message: ${character.first_mes}`;
+    }
+    
     getBunnyMoSystemDescription() {
         return `BunnyMo is an advanced character analysis and psychological profiling system designed for AI roleplay. It provides comprehensive character analysis through structured tags and psychological frameworks:
 
@@ -2433,14 +3136,15 @@ The system emphasizes creating psychologically coherent characters where traits
         newResultElement.innerHTML = `
             <div class="bunny-result-header" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px; padding-bottom: 10px; border-bottom: 1px solid var(--SmartThemeBorderColor);">
                 <div class="bunny-result-info">
-                    <h3 style="margin: 0;">✨ ${characterName}</h3>
+                    <h3 style="margin: 0;">✨ ${characterName} ${this.renderVersionLabel(result)}</h3>
                     <small style="opacity: 0.7;">${timestamp} (Latest)</small>
+                    ${this.renderRevisionNote(result)}
                 </div>
                 <div class="bunny-result-actions">
-                    <button class="menu_button bunny-copy-btn" onclick="window.bunnyReccInstance.copyCharacterSheet('${encodeURIComponent(result.fullResponse)}')">
+                    <button class="menu_button bunny-copy-btn" onclick="window.bunnyReccInstance.copyCharacterSheet('${this.getThreadId(result)}', ${result.version || 1})">
                         📋 Copy Full Sheet
                     </button>
-                    <button class="menu_button bunny-create-wi-btn" onclick="window.bunnyReccInstance.createWorldInfoEntry('${encodeURIComponent(JSON.stringify(result))}')">
+                    <button class="menu_button bunny-create-wi-btn" onclick="window.bunnyReccInstance.createWorldInfoEntry('${this.getThreadId(result)}', ${result.version || 1})">
                         🌍 Create WorldInfo Entry
                     </button>
                 </div>
@@ -2452,9 +3156,11 @@ The system emphasizes creating psychologically coherent characters where traits
                 <div class="bunny-results-tags" style="margin-top: 15px;">
                     <h4>🏷️ BunnyTags (${tags.length}):</h4>
                     <div class="bunny-tags-list">
-                        ${tags.map(tag => `<span class="bunny-tag">${tag}</span>`).join('')}
+                        ${this.renderResultTags(result)}
                     </div>
+                    ${this.renderTagValidation(result)}
                 </div>
+                ${this.renderRevisionControls(result)}
             </div>
         `;
         
@@ -2482,6 +3188,418 @@ The system emphasizes creating psychologically coherent characters where traits
         this.setupResultsButtons(result);
     }
     
+    escapeHtml(text) {
+        return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+    
+    // Every version of a generated character shares a thread; results saved before revisions existed are their own thread
+    getThreadId(result) {
+        return result.threadId || `bunnyrecc-${result.timestamp}`;
+    }
+    
+    getThreadVersions(threadId) {
+        return this.persistentResults
+            .filter(result => this.getThreadId(result) === threadId)
+            .sort((a, b) => (a.version || 1) - (b.version || 1));
+    }
+    
+    findVersion(threadId, version) {
+        return this.getThreadVersions(threadId).find(result => (result.version || 1) === version) || null;
+    }
+    
+    renderVersionLabel(result) {
+        const incomplete = result.incomplete
+            ? ' <span title="Generation was stopped before the sheet was finished" style="font-size: 0.7em; color: var(--warning, #f39c12);">⚠️ Incomplete</span>'
+            : '';
+        return `<span style="opacity: 0.7; font-size: 0.7em;">v${result.version || 1}</span>${incomplete}`;
+    }
+    
+    renderRevisionNote(result) {
+        if (!result.instruction) return '';
+        return `<div><small style="opacity: 0.8;">✏️ v${result.revisedFrom}: ${this.escapeHtml(result.instruction)}</small></div>`;
+    }
+    
+    // Revise box and version diff button under a result
+    renderRevisionControls(result) {
+        const threadId = this.getThreadId(result);
+        const version = result.version || 1;
+        return `
+            <div class="bunny-result-revise" style="margin-top: 15px; display: flex; flex-direction: column; gap: 6px;">
+                <textarea id="bunnyRecc_revise_${threadId}_${version}" class="text_pole" rows="2" placeholder="Revise v${version}: make her older, swap the dere type to dandere..."></textarea>
+                <div id="bunnyRecc_reviseStream_${threadId}_${version}" style="white-space: pre-wrap; opacity: 0.85; max-height: 300px; overflow-y: auto;"></div>
+                <div style="display: flex; gap: 6px;">
+                    <button id="bunnyRecc_reviseBtn_${threadId}_${version}" class="menu_button" onclick="window.bunnyReccInstance.reviseCharacter('${threadId}', ${version})">
+                        ✏️ Revise
+                    </button>
+                    <button class="menu_button" onclick="window.bunnyReccInstance.showVersionDiff('${threadId}')">
+                        🔍 Compare Versions
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+    
+    // Vocabulary of the tag libraries selected in BunnyMoTags (its selected lorebooks that are not character repos)
+    async loadTagVocabulary() {
+        const { characterRepos, selectedLorebooks } = this.getBunnyMoConfiguration();
+        const libraries = selectedLorebooks.filter(name => !characterRepos.includes(name));
+        const entries = [];
+        for (const worldName of libraries) {
+            try {
+                const worldInfo = await loadWorldInfo(worldName);
+                entries.push(...Object.values(worldInfo?.entries || {}));
+            } catch (error) {
+                console.warn(`🐰 BunnyRecc: Failed to load tag library ${worldName}:`, error);
+            }
+        }
+        return buildTagVocabulary(entries);
+    }
+    
+    // Check a result's tags against the tag libraries; result.validation stays null when there is nothing to check against
+    async validateResultTags(result) {
+        const vocabulary = await this.loadTagVocabulary();
+        this.tagVocabulary = vocabulary;
+        if (vocabulary.categories.size === 0 && vocabulary.values.size === 0) {
+            result.validation = null;
+            return result;
+        }
+        
+        result.validation = { invalid: validateTags(parseTagBlock(result.tags.join('')).tags, vocabulary) };
+        if (result.validation.invalid.length > 0) {
+            console.log(`🐰 BunnyRecc: ${result.validation.invalid.length} tags of ${result.characterName} are not in the tag libraries`, result.validation.invalid);
+        }
+        return result;
+    }
+    
+    // The validation problem of one raw <CATEGORY:VALUE> tag, if any
+    findTagProblem(result, tag) {
+        const match = tag.match(/<([^:<>]+):([^<>]+)>/);
+        if (!match || !result.validation) return null;
+        const category = normalizeCategory(match[1]);
+        const value = normalizeTagValue(match[2]);
+        return result.validation.invalid.find(problem => problem.category === category && problem.value === value) || null;
+    }
+    
+    describeTagProblem(problem) {
+        const suggestions = problem.suggestions.length > 0 ? `did you mean ${problem.suggestions.join(', ')}?` : 'no close match';
+        return problem.problem === 'category'
+            ? `"${problem.category}" is not a tag category in your libraries (${suggestions})`
+            : `${problem.value} is not a known ${problem.category} (${suggestions})`;
+    }
+    
+    renderResultTags(result) {
+        return result.tags.map(tag => {
+            const problem = this.findTagProblem(result, tag);
+            if (!problem) {
+                return `<span class="bunny-tag">${this.escapeHtml(tag)}</span>`;
+            }
+            return `<span class="bunny-tag" title="${this.escapeHtml(this.describeTagProblem(problem))}" style="outline: 2px solid #e74c3c;">⚠️ ${this.escapeHtml(tag)}</span>`;
+        }).join('');
+    }
+    
+    // Invalid tag list with suggestions and the repair button
+    renderTagValidation(result) {
+        if (!result.validation) return '';
+        const invalid = result.validation.invalid;
+        if (invalid.length === 0) {
+            return '<div class="bunny-tag-validation" style="margin-top: 8px; opacity: 0.8;"><small>✅ Every tag is in your tag libraries</small></div>';
+        }
+        
+        const key = `${this.getThreadId(result)}_${result.version || 1}`;
+        return `
+            <div class="bunny-tag-validation" style="margin-top: 8px; padding: 8px; border: 1px solid #e74c3c; border-radius: 6px;">
+                <strong>⚠️ ${invalid.length} tag${invalid.length === 1 ? ' is' : 's are'} not in your tag libraries</strong>
+                <ul style="margin: 6px 0;">
+                    ${invalid.map(problem => `<li>${this.escapeHtml(this.describeTagProblem(problem))}</li>`).join('')}
+                </ul>
+                <button id="bunnyRecc_repairBtn_${key}" class="menu_button" onclick="window.bunnyReccInstance.repairTags('${this.getThreadId(result)}', ${result.version || 1})">
+                    🔧 Repair Tags
+                </button>
+            </div>
+        `;
+    }
+    
+    // Ask the model to fix only the invalid tags; the repaired sheet becomes a new version
+    async repairTags(threadId, version) {
+        const key = `repair_${threadId}_${version}`;
+        if (this.activeGeneration?.key === key) {
+            this.stopGeneration();
+            return;
+        }
+        if (this.activeGeneration) {
+            toastr.info('A generation is already running. Stop it or wait for it to finish.', '🐰 BunnyRecc');
+            return;
+        }
+        
+        const source = this.findVersion(threadId, version);
+        const invalid = source?.validation?.invalid || [];
+        if (invalid.length === 0) return;
+        
+        const vocabulary = this.tagVocabulary || await this.loadTagVocabulary();
+        const allowedList = (values) => Array.from(values).slice(0, 60).join(', ');
+        const problems = invalid.map(problem => {
+            const line = `- <${problem.category}:${problem.value}>: ${this.describeTagProblem(problem)}`;
+            if (problem.problem === 'category') {
+                return `${line}\n  Allowed categories: ${allowedList(vocabulary.categories.keys())}`;
+            }
+            return `${line}\n  Allowed ${problem.category} values: ${allowedList(getAllowedValues(problem.category, vocabulary))}`;
+        });
+        const messages = [{
+            role: 'system',
+            content: 'You repair BunnyMo character tags. Tags use the format <CATEGORY:VALUE> and may only use the categories and values the user allows.'
+        }, {
+            role: 'user',
+            content: `These are the tags of ${source.characterName}:\n<BunnymoTags>${source.tags.join(', ')}</BunnymoTags>\n\n`
+                + `These tags are invalid:\n${problems.join('\n')}\n\n`
+                + 'Replace each invalid tag with the allowed tag that fits the character best, or drop it if none fits. '
+                + 'Do not change any other tag. Reply with only the corrected <BunnymoTags> block.'
+        }];
+        
+        const button = document.getElementById(`bunnyRecc_repairBtn_${threadId}_${version}`);
+        if (button) {
+            button.textContent = '⏹️ Stop';
+        }
+        const controller = new AbortController();
+        this.activeGeneration = { controller, key };
+        
+        try {
+            const profileId = source.profileId || document.getElementById('bunnyRecc_connectionProfile')?.value;
+            const { response, incomplete } = await this.sendGenerationRequest(profileId, messages, 500, { signal: controller.signal });
+            if (incomplete) {
+                throw new Error('Repair was stopped');
+            }
+            
+            const text = typeof response === 'string' ? response : response?.content ?? response?.choices?.[0]?.message?.content ?? '';
+            const block = text.match(/<BunnymoTags>([\s\S]*?)<\/BunnymoTags>/i)?.[1] ?? text;
+            const replyTags = [...block.matchAll(/<([^:<>]+):([^<>]+)>/g)].map(match => ({
+                tag: `<${match[1].trim()}:${match[2].trim()}>`,
+                category: normalizeCategory(match[1]),
+                value: normalizeTagValue(match[2])
+            }));
+            if (replyTags.length === 0) {
+                throw new Error('The reply contained no tags');
+            }
+            
+            // Only the invalid tags may change: keep every valid tag as it was, and from the reply take at most
+            // one replacement per invalid tag: another value in its category, or for an illegal category the same
+            // value moved to a declared one; everything else in the reply is ignored
+            const validTags = source.tags.filter(tag => !this.findTagProblem(source, tag));
+            const kept = parseTagBlock(validTags.join('')).tags;
+            const openProblems = [...invalid];
+            const replacements = [];
+            replyTags.forEach(({ tag, category, value }) => {
+                const isNew = !kept[category]?.includes(value)
+                    && !invalid.some(problem => problem.category === category && problem.value === value)
+                    && !replacements.some(other => other.category === category && other.value === value);
+                const slot = openProblems.findIndex(problem => problem.problem === 'category'
+                    ? problem.value === value && vocabulary.categories.has(category)
+                    : problem.category === category);
+                if (isNew && slot !== -1) {
+                    openProblems.splice(slot, 1);
+                    replacements.push({ tag, category, value });
+                }
+            });
+            const tags = [...validTags, ...replacements.map(replacement => replacement.tag)];
+            const tagBlock = `<BunnymoTags>${tags.join(', ')}</BunnymoTags>`;
+            const fullResponse = /<BunnymoTags>[\s\S]*?<\/BunnymoTags>/i.test(source.fullResponse)
+                ? source.fullResponse.replace(/<BunnymoTags>[\s\S]*?<\/BunnymoTags>/i, tagBlock)
+                : `${source.fullResponse.trim()}\n\n${tagBlock}`;
+            
+            const latest = this.getThreadVersions(threadId).pop();
+            const result = {
+                ...source,
+                fullResponse,
+                tags,
+                threadId,
+                version: (latest.version || 1) + 1,
+                revisedFrom: version,
+                instruction: `Repaired tags: ${invalid.map(problem => `<${problem.category}:${problem.value}>`).join(', ')}`,
+                timestamp: Date.now()
+            };
+            await this.validateResultTags(result);
+            console.log(`🐰 BunnyRecc: Repaired ${invalid.length} tags of ${result.characterName} into v${result.version}`);
+            this.displayGenerationResults(result);
+            this.refreshBatchPanel();
+        } catch (error) {
+            console.error('🐰 BunnyRecc: Tag repair failed:', error);
+            toastr.error(`Tag repair failed: ${error.message}`, '🐰 BunnyRecc');
+        } finally {
+            this.activeGeneration = null;
+            if (button) {
+                button.textContent = '🔧 Repair Tags';
+            }
+        }
+    }
+    
+    formatRevisionRequest(instruction) {
+        return `${instruction}\n\nRewrite the complete character sheet with these changes, in the same format, including the <BunnymoTags> block.`;
+    }
+    
+    // The conversation behind a version: the original request, then each earlier sheet and the instruction that revised it.
+    // Results restored from a saved session no longer have their prompt, so a generic one stands in.
+    buildRevisionConversation(result) {
+        const threadId = this.getThreadId(result);
+        const chain = [];
+        for (let current = result; current; current = current.revisedFrom ? this.findVersion(threadId, current.revisedFrom) : null) {
+            chain.unshift(current);
+        }
+        
+        const prompt = this.threadPrompts.get(threadId);
+        const messages = prompt ? [...prompt] : [
+            { role: 'system', content: 'You write BunnyMo character sheets. Keep the format of the sheet, including its <BunnymoTags> block.' },
+            { role: 'user', content: 'Write a character sheet.' }
+        ];
+        chain.forEach((version, index) => {
+            if (index > 0) {
+                messages.push({ role: 'user', content: this.formatRevisionRequest(version.instruction) });
+            }
+            messages.push({ role: 'assistant', content: version.fullResponse });
+        });
+        return messages;
+    }
+    
+    async reviseCharacter(threadId, version) {
+        const key = `${threadId}_${version}`;
+        if (this.activeGeneration?.key === key) {
+            this.stopGeneration();
+            return;
+        }
+        if (this.activeGeneration) {
+            toastr.info('A generation is already running. Stop it or wait for it to finish.', '🐰 BunnyRecc');
+            return;
+        }
+        
+        const source = this.findVersion(threadId, version);
+        const instruction = document.getElementById(`bunnyRecc_revise_${threadId}_${version}`)?.value.trim();
+        if (!source || !instruction) {
+            toastr.warning('Describe what to change first.', '🐰 BunnyRecc');
+            return;
+        }
+        
+        // The Revise button doubles as Stop while its revision streams in
+        const button = document.getElementById(`bunnyRecc_reviseBtn_${key}`);
+        if (button) {
+            button.textContent = '⏹️ Stop';
+        }
+        const controller = new AbortController();
+        this.activeGeneration = { controller, key };
+        
+        try {
+            const messages = [...this.buildRevisionConversation(source), { role: 'user', content: this.formatRevisionRequest(instruction) }];
+            const profileId = source.profileId || document.getElementById('bunnyRecc_connectionProfile')?.value;
+            const maxTokens = source.maxTokens || this.settings.maxResponseToken || 1500;
+            const { response, incomplete } = await this.sendGenerationRequest(profileId, messages, maxTokens, {
+                signal: controller.signal,
+                onProgress: (text) => this.updateStreamPreview(`bunnyRecc_reviseStream_${key}`, text)
+            });
+            
+            const result = this.processAIResponse(response, { outputFormat: source.outputFormat });
+            const latest = this.getThreadVersions(threadId).pop();
+            Object.assign(result, {
+                threadId,
+                version: (latest.version || 1) + 1,
+                revisedFrom: version,
+                incomplete,
+                instruction,
+                profileId,
+                maxTokens
+            });
+            console.log(`🐰 BunnyRecc: Revised ${result.characterName} v${version} into v${result.version}`);
+            await this.validateResultTags(result);
+            this.displayGenerationResults(result);
+            this.refreshBatchPanel();
+        } catch (error) {
+            console.error('🐰 BunnyRecc: Revision failed:', error);
+            toastr.error(`Revision failed: ${error.message}`, '🐰 BunnyRecc');
+        } finally {
+            this.activeGeneration = null;
+            this.updateStreamPreview(`bunnyRecc_reviseStream_${key}`, '');
+            if (button) {
+                button.textContent = '✏️ Revise';
+            }
+        }
+    }
+    
+    // Line diff by longest common subsequence: [{ type: 'same'|'added'|'removed', line }]
+    diffLines(before, after) {
+        const a = String(before ?? '').split('\n');
+        const b = String(after ?? '').split('\n');
+        const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+        
+        const diff = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                diff.push({ type: 'same', line: a[i] });
+                i++;
+                j++;
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                diff.push({ type: 'removed', line: a[i++] });
+            } else {
+                diff.push({ type: 'added', line: b[j++] });
+            }
+        }
+        a.slice(i).forEach(line => diff.push({ type: 'removed', line }));
+        b.slice(j).forEach(line => diff.push({ type: 'added', line }));
+        return diff;
+    }
+    
+    async showVersionDiff(threadId) {
+        const versions = this.getThreadVersions(threadId);
+        if (versions.length < 2) {
+            toastr.info('There is only one version so far. Revise the character to get another.', '🐰 BunnyRecc');
+            return;
+        }
+        
+        const options = versions.map(result => {
+            const version = result.version || 1;
+            const note = result.instruction ? ` - ${this.escapeHtml(result.instruction.slice(0, 40))}` : '';
+            return `<option value="${version}">v${version}${note}</option>`;
+        }).join('');
+        
+        const container = document.createElement('div');
+        container.innerHTML = `
+            <h3>🔍 Compare versions of ${this.escapeHtml(versions[versions.length - 1].characterName)}</h3>
+            <div style="display: flex; gap: 8px; align-items: center; justify-content: center;">
+                <select class="text_pole" data-side="from" style="width: auto;">${options}</select>
+                →
+                <select class="text_pole" data-side="to" style="width: auto;">${options}</select>
+            </div>
+            <div data-field="diff" style="text-align: left; font-family: monospace; white-space: pre-wrap; margin-top: 10px;"></div>
+        `;
+        
+        const from = container.querySelector('[data-side="from"]');
+        const to = container.querySelector('[data-side="to"]');
+        from.value = String(versions[versions.length - 2].version || 1);
+        to.value = String(versions[versions.length - 1].version || 1);
+        
+        const styles = {
+            same: 'opacity: 0.6;',
+            added: 'background: rgba(46, 204, 113, 0.2);',
+            removed: 'background: rgba(231, 76, 60, 0.2); text-decoration: line-through;'
+        };
+        const markers = { same: '  ', added: '+ ', removed: '- ' };
+        const render = () => {
+            const before = this.findVersion(threadId, Number(from.value));
+            const after = this.findVersion(threadId, Number(to.value));
+            container.querySelector('[data-field="diff"]').innerHTML = this.diffLines(before?.fullResponse, after?.fullResponse)
+                .map(({ type, line }) => `<div style="${styles[type]}">${markers[type]}${this.escapeHtml(line)}</div>`)
+                .join('');
+        };
+        from.addEventListener('change', render);
+        to.addEventListener('change', render);
+        render();
+        
+        const context = getContext();
+        await context.callGenericPopup(container, context.POPUP_TYPE.TEXT, '', { wide: true, large: true, allowVerticalScrolling: true });
+    }
+    
     formatCharacterSheetForDisplay(characterSheet) {
         // Add styling classes to make the character sheet more readable
         return characterSheet
@@ -2498,18 +3616,144 @@ The system emphasizes creating psychologically coherent characters where traits
         console.log('🐰 BunnyRecc: Results buttons initialized');
     }
 
-    copyCharacterSheet(encodedSheet) {
-        const sheet = decodeURIComponent(encodedSheet);
-        navigator.clipboard.writeText(sheet).then(() => {
+    copyCharacterSheet(threadId, version) {
+        const result = this.findVersion(threadId, version);
+        if (!result) return;
+        navigator.clipboard.writeText(result.fullResponse).then(() => {
             this.showNotification('Character sheet copied to clipboard!');
         });
     }
 
-    createWorldInfoEntry(encodedResult) {
-        const result = JSON.parse(decodeURIComponent(encodedResult));
-        // Implementation for WorldInfo entry creation
-        console.log('🐰 BunnyRecc: Creating WorldInfo entry...', result);
-        this.showNotification('WorldInfo entry creation not yet implemented');
+    // Name, aliases and entry content for a generated character: the full sheet plus its <BunnymoTags> block
+    buildRepoEntryData(result) {
+        const parsed = parseTagBlock(result.tags.join(''));
+        const name = parsed.name || result.characterName;
+        const tags = result.tags.filter(tag => !/^<\s*name\s*:/i.test(tag));
+        const tagBlock = `<BunnymoTags>${[`<Name:${name}>`, ...tags].join(', ')}</BunnymoTags>`;
+        
+        return {
+            name,
+            aliases: parsed.aliases,
+            content: [result.characterSheet?.trim(), tagBlock].filter(Boolean).join('\n\n')
+        };
+    }
+    
+    // The entry of a repo lorebook that already describes a character (by its NAME tag or a key)
+    findRepoEntry(lorebook, name) {
+        const lower = name.toLowerCase();
+        return Object.values(lorebook.entries || {}).find(entry =>
+            extractBunnyMoCharacters(entry).some(character => character.name.toLowerCase() === lower)
+            || (entry.key || []).some(key => key.toLowerCase() === lower)) || null;
+    }
+    
+    /**
+     * Write a character into a loaded repo lorebook (not saved yet): update its existing entry or add one.
+     * The entry's keys become exactly `keys`, so removed aliases stop activating it.
+     * @returns {{entry: object, action: 'Created'|'Updated'}}
+     */
+    writeRepoEntry(repo, lorebook, entryData, existing, keys = [entryData.name, ...entryData.aliases], content = entryData.content) {
+        const entry = existing || createLorebookEntry(repo, lorebook);
+        if (!entry) {
+            throw new Error(`Could not add an entry to ${repo}`);
+        }
+        if (!existing) {
+            entry.comment = entryData.name;
+        }
+        entry.key = [...new Set(keys)];
+        entry.content = content;
+        return { entry, action: existing ? 'Updated' : 'Created' };
+    }
+    
+    // An entry's content with one character's <BunnymoTags> block swapped for a new one (appended when it has none)
+    replaceTagBlock(content, name, tagBlock) {
+        const lower = name.toLowerCase();
+        let replaced = false;
+        const updated = String(content || '').replace(/<BunnymoTags>([\s\S]*?)<\/BunnymoTags>/gi, (block, inner) => {
+            if (replaced || parseTagBlock(inner).name?.toLowerCase() !== lower) return block;
+            replaced = true;
+            return tagBlock;
+        });
+        return replaced ? updated : [updated.trim(), tagBlock].filter(Boolean).join('\n\n');
+    }
+    
+    createWorldInfoEntry(threadId, version) {
+        const result = this.findVersion(threadId, version);
+        return result ? this.saveResultToRepo(result) : undefined;
+    }
+    
+    // Let the user pick a repo and confirm the entry, then write it and scan it
+    async saveResultToRepo(result) {
+        const { characterRepos } = this.getBunnyMoConfiguration();
+        const repos = characterRepos.filter(repo => world_names?.includes(repo));
+        if (repos.length === 0) {
+            toastr.warning('Mark a lorebook as a Character Repo (👤) in the BunnyMoTags settings first.', '🐰 BunnyRecc');
+            return;
+        }
+        
+        const entryData = this.buildRepoEntryData(result);
+        const context = getContext();
+        const escape = (text) => this.escapeHtml(text);
+        const invalidCount = result.validation?.invalid?.length || 0;
+        const invalidWarning = invalidCount > 0
+            ? `<div style="color: #e74c3c;">⚠️ ${invalidCount} tag${invalidCount === 1 ? ' is' : 's are'} not in your tag libraries. Cancel and use 🔧 Repair Tags to fix ${invalidCount === 1 ? 'it' : 'them'} first.</div>`
+            : '';
+        
+        const form = document.createElement('div');
+        form.innerHTML = `
+            <h3>🌍 Save ${escape(entryData.name)} to a Character Repo</h3>
+            <div style="display: flex; flex-direction: column; gap: 8px; text-align: left;">
+                ${invalidWarning}
+                <label>Character repo
+                    <select class="text_pole" data-field="repo">
+                        ${repos.map(repo => `<option value="${escape(repo)}">${escape(repo)}</option>`).join('')}
+                    </select>
+                </label>
+                <label>Keys (comma-separated)
+                    <input class="text_pole" data-field="keys" value="${escape([entryData.name, ...entryData.aliases].join(', '))}">
+                </label>
+                <label>Content
+                    <textarea class="text_pole" data-field="content" rows="12">${escape(entryData.content)}</textarea>
+                </label>
+            </div>
+        `;
+        
+        const confirmed = await context.callGenericPopup(form, context.POPUP_TYPE.CONFIRM, '', { wide: true, okButton: 'Save Entry', cancelButton: 'Cancel' });
+        if (!confirmed) return;
+        
+        const repo = form.querySelector('[data-field="repo"]').value;
+        const keys = [...new Set(form.querySelector('[data-field="keys"]').value.split(',').map(key => key.trim()).filter(Boolean))];
+        const content = form.querySelector('[data-field="content"]').value.trim();
+        
+        try {
+            const lorebook = await loadWorldInfo(repo);
+            if (!lorebook?.entries) {
+                throw new Error(`Could not load ${repo}`);
+            }
+            
+            // A result without a sheet (inferred tags) only carries a tag block: updating keeps the entry's prose
+            const tagsOnly = !result.characterSheet?.trim();
+            const existing = this.findRepoEntry(lorebook, entryData.name);
+            if (existing) {
+                const update = await context.callGenericPopup(
+                    `${entryData.name} already has an entry in ${repo} (#${existing.uid}${existing.comment ? `, "${existing.comment}"` : ''}). `
+                        + (tagsOnly ? 'Replace only its &lt;BunnymoTags&gt; block and keep the rest of the entry?' : 'Update it instead of adding a duplicate?'),
+                    context.POPUP_TYPE.CONFIRM, '', { okButton: 'Update Entry', cancelButton: 'Cancel' });
+                if (!update) return;
+            }
+            
+            const tagBlock = content.match(/<BunnymoTags>[\s\S]*?<\/BunnymoTags>/i)?.[0];
+            const keepEntry = existing && tagsOnly && tagBlock;
+            const { entry, action } = keepEntry
+                ? this.writeRepoEntry(repo, lorebook, entryData, existing, [...keys, ...(existing.key || [])], this.replaceTagBlock(existing.content, entryData.name, tagBlock))
+                : this.writeRepoEntry(repo, lorebook, entryData, existing, keys, content);
+            // Saving emits WORLDINFO_UPDATED, which BunnyMoTags answers by rescanning just this repo
+            await saveWorldInfo(repo, lorebook, true);
+            console.log(`🐰 BunnyRecc: ${action} ${entryData.name} in ${repo} (#${entry.uid})`);
+            toastr.success(`${action} ${entryData.name} in ${repo}`, '🐰 BunnyRecc');
+        } catch (error) {
+            console.error('🐰 BunnyRecc: Failed to save the WorldInfo entry:', error);
+            toastr.error(`Could not save ${entryData.name}: ${error.message}`, '🐰 BunnyRecc');
+        }
     }
 
     showNotification(message) {
@@ -2560,6 +3804,12 @@ The system emphasizes creating psychologically coherent characters where traits
         // Initialize per-chat config handlers
         this.setupPerChatConfigHandlers();
         
+        // Initialize batch mode
+        this.setupBatchHandlers();
+        
+        // Initialize tag inference
+        document.getElementById('bunnyRecc_inferTags')?.addEventListener('click', () => this.inferTags());
+        
         // Initialize generate button with chat state validation
         const generateBtn = document.getElementById('bunnyRecc_generate');
         if (generateBtn) {
@@ -4,11 +4,12 @@
  */
 
 import { extension_settings } from '../../../extensions.js';
+import { normalizeCharacterData, parseCharacterTagLines } from './tagParser.js';
 
 const MODULE_NAME = 'BunnyMoTags-CardRenderer';
 const extensionName = 'BunnyMoTags';
 
-// Parse BunnyMoTags data from injection blocks (original tag-based format)
+// Parse BunnyMoTags data from injection blocks (JSON or the line-based tag format)
 export const parseBunnyMoData = (content) => {
     try {
         // Handle JSON format if provided
@@ -20,7 +21,7 @@ export const parseBunnyMoData = (content) => {
                 char.name && char.name.startsWith('[Character_') && char.displayName)) {
                 
                 // Desanitize the data - restore original names and sources
-                return {
+                return normalizeCharacterData({
                     ...parsed,
                     characters: parsed.characters.map(char => ({
                         ...char,
@@ -28,94 +29,20 @@ export const parseBunnyMoData = (content) => {
                         source: char.originalSource || char.source // Restore original source
                         // Keep displayName and originalSource for reference if needed
                     }))
-                };
+                });
             }
             
-            return parsed;
+            return normalizeCharacterData(parsed);
         }
         
-        // Parse the original BunnyMoTags text format for character tags
-        const lines = content.split('\n').filter(line => line.trim());
-        const data = { characters: [] };
-        let currentCharacter = null;
-        
-        lines.forEach(line => {
-            const trimmed = line.trim();
-            
-            // Look for character name patterns
-            if (trimmed.includes(':') && !trimmed.startsWith('-')) {
-                // This might be a character name line
-                const [possibleName, possibleTags] = trimmed.split(':', 2);
-                if (possibleName && !possibleName.toLowerCase().includes('tag')) {
-                    // Start new character
-                    if (currentCharacter) {
-                        data.characters.push(currentCharacter);
-                    }
-                    currentCharacter = {
-                        name: possibleName.trim(),
-                        tags: {},
-                        source: 'BunnyMoTags'
-                    };
-                    
-                    // Process any tags on the same line
-                    if (possibleTags) {
-                        processTagLine(possibleTags.trim(), currentCharacter, 'other');
-                    }
-                }
-            } else if (currentCharacter && trimmed.startsWith('-') && trimmed.includes(':')) {
-                // This is a tag category line: "- Category: tag1, tag2, tag3"
-                const tagContent = trimmed.substring(1).trim(); // Remove the "-"
-                const [category, tagsStr] = tagContent.split(':', 2);
-                if (category && tagsStr) {
-                    const cleanCategory = category.trim().toLowerCase();
-                    processTagLine(tagsStr.trim(), currentCharacter, cleanCategory);
-                }
-            } else if (currentCharacter && trimmed.startsWith('-')) {
-                // Simple tag line: "- tag"
-                const tag = trimmed.substring(1).trim();
-                if (tag) {
-                    if (!currentCharacter.tags.other) {
-                        currentCharacter.tags.other = [];
-                    }
-                    currentCharacter.tags.other.push(tag);
-                }
-            } else if (currentCharacter && trimmed) {
-                // Try to parse as a category line or add to other
-                if (trimmed.includes(':')) {
-                    const [category, tagsStr] = trimmed.split(':', 2);
-                    const cleanCategory = category.trim().toLowerCase();
-                    processTagLine(tagsStr.trim(), currentCharacter, cleanCategory);
-                }
-            }
-        });
-        
-        if (currentCharacter) {
-            data.characters.push(currentCharacter);
-        }
-        
-        return data;
+        // Parse the line-based BunnyMoTags text format for character tags
+        return { characters: parseCharacterTagLines(content) };
     } catch (error) {
         console.warn(`[${MODULE_NAME}] Failed to parse BunnyMo data:`, error);
         return null;
     }
 };
 
-// Helper function to process tag lines
-function processTagLine(tagsStr, character, category) {
-    if (!tagsStr) return;
-    
-    const tags = tagsStr.split(',')
-        .map(tag => tag.trim())
-        .filter(tag => tag);
-    
-    if (tags.length > 0) {
-        if (!character.tags[category]) {
-            character.tags[category] = [];
-        }
-        character.tags[category].push(...tags);
-    }
-}
-
 // Generate BunnyMo context block for AI injection
 export const generateBunnyMoBlock = (data) => {
     // Handle both direct characters array and data object with characters property
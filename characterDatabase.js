@@ -0,0 +1,315 @@
+/**
+ * @file Character database export/import
+ * One versioned JSON bundle holds everything BunnyMoTags knows about a roster: the parsed
+ * repo characters, this chat's overrides, pins, exclusions and growth history, and the
+ * extension settings. Teams share a roster with it, or carry one to another install.
+ *
+ * Imported characters do not need the original lorebooks: they are kept in the settings and
+ * merged as one more repo (IMPORTED_REPO), so the repo merge order decides who wins.
+ */
+
+import { getCurrentChatId } from '../../../../script.js';
+import { normalizeCategory, normalizeTagValue } from './tagParser.js';
+import { CHAT_STATE_KEYS, getChatState, setChatState } from './chatState.js';
+import { setCategoryOverride } from './overrides.js';
+
+const DATABASE_FORMAT = 'bunnymo-character-database';
+const DATABASE_VERSION = 1;
+
+// Repo name imported characters are merged under
+const IMPORTED_REPO = '📦 Imported';
+
+// Settings that are not carried in the settings part of a bundle (imported characters travel as characters)
+const UNSHARED_SETTINGS = ['importedCharacters'];
+
+/**
+ * @typedef {Object} CharacterDatabaseBundle
+ * @property {string} format - Always DATABASE_FORMAT
+ * @property {number} version - Bundle format version
+ * @property {string} exportedAt - ISO date
+ * @property {import('./tagParser.js').BunnyMoCharacter[]} characters
+ * @property {{chatId: string|null, overrides: object, pinned: string[], excluded: string[], growth: object}} chat
+ * @property {object} settings
+ * @property {string[]} [skipped] - Malformed parts left out when the bundle was parsed
+ */
+
+const copy = (value) => structuredClone(value ?? null);
+
+// The parts of a character a bundle carries (merge bookkeeping like tagSources is rebuilt on import)
+const exportCharacter = (character) => ({
+    name: character.name,
+    aliases: [...(character.aliases || [])],
+    tags: copy(character.tags) || {},
+    source: character.source || null,
+    ...(character.sources ? { sources: [...character.sources] } : {})
+});
+
+/**
+ * Bundle the scanned characters, this chat's BunnyMo state and the settings.
+ * @param {Iterable<import('./tagParser.js').BunnyMoCharacter>} characters - Merged repo characters (no chat overrides)
+ * @param {object} settings - extension_settings.BunnyMoTags
+ * @returns {CharacterDatabaseBundle}
+ */
+const buildCharacterDatabase = (characters, settings) => ({
+    format: DATABASE_FORMAT,
+    version: DATABASE_VERSION,
+    exportedAt: new Date().toISOString(),
+    characters: Array.from(characters, exportCharacter),
+    chat: {
+        chatId: getCurrentChatId?.() ?? null,
+        overrides: copy(getChatState(CHAT_STATE_KEYS.overrides, () => ({}))),
+        pinned: [...getChatState(CHAT_STATE_KEYS.pinned, () => [])],
+        excluded: [...getChatState(CHAT_STATE_KEYS.excluded, () => [])],
+        growth: copy(getChatState(CHAT_STATE_KEYS.growth, () => ({ characters: {} })))
+    },
+    settings: Object.fromEntries(Object.entries(copy(settings) || {}).filter(([key]) => !UNSHARED_SETTINGS.includes(key)))
+});
+
+// Canonical character from bundle data; null when it has no name
+const importCharacter = (data) => {
+    const name = String(data?.name ?? '').trim();
+    if (!name) return null;
+
+    const tags = {};
+    Object.entries(data.tags || {}).forEach(([category, values]) => {
+        const cleanCategory = normalizeCategory(category);
+        const cleanValues = (Array.isArray(values) ? values : [values]).map(normalizeTagValue).filter(Boolean);
+        if (cleanCategory && cleanValues.length > 0) {
+            tags[cleanCategory] = [...new Set([...(tags[cleanCategory] || []), ...cleanValues])];
+        }
+    });
+
+    return {
+        name,
+        aliases: (Array.isArray(data.aliases) ? data.aliases : []).map(alias => String(alias).trim()).filter(Boolean),
+        tags,
+        source: data.source || IMPORTED_REPO
+    };
+};
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+// { category: string[] }
+const isTagSet = (value) => isObject(value) && Object.values(value).every(isStringList);
+
+// An override field the override store can clean: a list of strings or a comma-separated string
+const isOverrideValues = (value) => value === undefined || typeof value === 'string' || isStringList(value);
+
+// Overrides whose shape setCategoryOverride accepts; everything else is reported in skipped
+const readOverrides = (overrides, skipped) => {
+    const clean = {};
+    if (overrides === undefined) return clean;
+    if (!isObject(overrides)) {
+        skipped.push('overrides (not an object)');
+        return clean;
+    }
+    Object.entries(overrides).forEach(([name, categories]) => {
+        if (!isObject(categories)) {
+            skipped.push(`overrides of ${name}`);
+            return;
+        }
+        Object.entries(categories).forEach(([category, override]) => {
+            const valid = isObject(override) && normalizeCategory(category)
+                && (override.replace === null || isOverrideValues(override.replace))
+                && isOverrideValues(override.add)
+                && isOverrideValues(override.remove);
+            if (!valid) {
+                skipped.push(`${name} ${category} override`);
+                return;
+            }
+            clean[name] = { ...(clean[name] || {}), [category]: { replace: override.replace ?? null, add: override.add ?? [], remove: override.remove ?? [] } };
+        });
+    });
+    return clean;
+};
+
+// Pinned or excluded names: strings only
+const readNames = (names, label, skipped) => {
+    if (names === undefined) return [];
+    if (!Array.isArray(names)) {
+        skipped.push(`${label} (not a list)`);
+        return [];
+    }
+    const invalid = names.filter(name => typeof name !== 'string' || !name.trim());
+    if (invalid.length > 0) {
+        skipped.push(`${invalid.length} ${label} ${invalid.length === 1 ? 'entry that is' : 'entries that are'} not a name`);
+    }
+    return names.filter(name => typeof name === 'string' && name.trim());
+};
+
+const isGrowthChange = (change) => isObject(change) && typeof change.category === 'string'
+    && isStringList(change.before) && isStringList(change.after) && Number.isFinite(change.messageIndex);
+
+// Growth records shaped like growth.js writes them
+const readGrowth = (growth, skipped) => {
+    const characters = {};
+    if (growth === undefined) return { characters };
+    if (!isObject(growth?.characters)) {
+        skipped.push('growth history (not a growth record set)');
+        return { characters };
+    }
+    Object.entries(growth.characters).forEach(([name, record]) => {
+        const valid = isObject(record) && isObject(record.baseline) && isTagSet(record.baseline.tags)
+            && Number.isFinite(record.baseline.messageIndex) && isTagSet(record.current)
+            && Array.isArray(record.changes) && record.changes.every(isGrowthChange);
+        if (valid) {
+            characters[name] = record;
+        } else {
+            skipped.push(`growth history of ${name}`);
+        }
+    });
+    return { characters };
+};
+
+/**
+ * Parse and validate a bundle.
+ * @param {string} text - Bundle JSON
+ * @returns {CharacterDatabaseBundle} With characters normalized, missing parts filled in and malformed
+ *   chat state left out (listed in `skipped`)
+ * @throws {Error} When the text is not a BunnyMoTags character database this version can read
+ */
+const parseCharacterDatabase = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Not valid JSON: ${error.message}`);
+    }
+
+    if (data?.format !== DATABASE_FORMAT) {
+        throw new Error('Not a BunnyMoTags character database (template exports go in Import Templates)');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        throw new Error('The database has no valid version');
+    }
+    if (data.version > DATABASE_VERSION) {
+        throw new Error(`The database is version ${data.version}; this BunnyMoTags reads up to version ${DATABASE_VERSION}. Update the extension first.`);
+    }
+
+    const chat = isObject(data.chat) ? data.chat : {};
+    const skipped = [];
+    const characters = (Array.isArray(data.characters) ? data.characters : []).map(importCharacter);
+    const nameless = characters.filter(character => !character).length;
+    if (nameless > 0) {
+        skipped.push(`${nameless} ${nameless === 1 ? 'character' : 'characters'} without a name`);
+    }
+    return {
+        format: DATABASE_FORMAT,
+        version: data.version,
+        exportedAt: data.exportedAt || null,
+        characters: characters.filter(Boolean),
+        chat: {
+            chatId: typeof chat.chatId === 'string' ? chat.chatId : null,
+            overrides: readOverrides(chat.overrides, skipped),
+            pinned: readNames(chat.pinned, 'pinned', skipped),
+            excluded: readNames(chat.excluded, 'excluded', skipped),
+            growth: readGrowth(chat.growth, skipped)
+        },
+        settings: isObject(data.settings) ? data.settings : {},
+        skipped
+    };
+};
+
+// Categories whose values differ between two tag sets: [{ category, before, after }]
+const diffTags = (before = {}, after = {}) => {
+    const categories = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return Array.from(categories)
+        .map(category => ({ category, before: before[category] || [], after: after[category] || [] }))
+        .filter(({ before: a, after: b }) => a.length !== b.length || a.some(value => !b.includes(value)));
+};
+
+/**
+ * What importing a bundle would change.
+ * @param {CharacterDatabaseBundle} bundle
+ * @param {Map<string, import('./tagParser.js').BunnyMoCharacter>} currentCharacters - scannedCharacters now
+ * @param {Map<string, import('./tagParser.js').BunnyMoCharacter>} mergedCharacters - scannedCharacters after the import
+ * @param {object} settings - Current settings
+ * @returns {object} { characters: {added, changed: [{name, categories}], unchanged}, chat: {sameChat, overrides, pinned, excluded, growth, growthSkipped}, settings: string[], skipped: string[] }
+ */
+const previewCharacterDatabase = (bundle, currentCharacters, mergedCharacters, settings) => {
+    const added = [];
+    const changed = [];
+    let unchanged = 0;
+    bundle.characters.forEach(({ name }) => {
+        const key = Array.from(mergedCharacters.keys()).find(existing => existing.toLowerCase() === name.toLowerCase()) ?? name;
+        const current = currentCharacters.get(key);
+        if (!current) {
+            added.push(key);
+            return;
+        }
+        const categories = diffTags(current.tags, mergedCharacters.get(key)?.tags);
+        if (categories.length > 0) {
+            changed.push({ name: key, categories });
+        } else {
+            unchanged++;
+        }
+    });
+
+    const pinned = getChatState(CHAT_STATE_KEYS.pinned, () => []);
+    const excluded = getChatState(CHAT_STATE_KEYS.excluded, () => []);
+    const growth = getChatState(CHAT_STATE_KEYS.growth, () => ({ characters: {} }));
+    const growthNames = Object.keys(bundle.chat.growth.characters || {});
+
+    return {
+        characters: { added, changed, unchanged },
+        chat: {
+            sameChat: Boolean(bundle.chat.chatId) && bundle.chat.chatId === (getCurrentChatId?.() ?? null),
+            overrides: Object.entries(bundle.chat.overrides).map(([name, categories]) => ({ name, categories: Object.keys(categories || {}) })),
+            pinned: bundle.chat.pinned.filter(name => !pinned.includes(name)),
+            excluded: bundle.chat.excluded.filter(name => !excluded.includes(name)),
+            growth: growthNames.filter(name => !growth.characters?.[name]),
+            growthSkipped: growthNames.filter(name => growth.characters?.[name])
+        },
+        settings: Object.keys(bundle.settings).filter(key => JSON.stringify(bundle.settings[key]) !== JSON.stringify(settings?.[key])),
+        skipped: bundle.skipped || []
+    };
+};
+
+/**
+ * Imported characters after adding a bundle's: same-named characters are replaced, others kept.
+ * @param {import('./tagParser.js').BunnyMoCharacter[]} existing - settings.importedCharacters
+ * @param {CharacterDatabaseBundle} bundle
+ * @returns {import('./tagParser.js').BunnyMoCharacter[]}
+ */
+const mergeImportedCharacters = (existing, bundle) => {
+    const incoming = new Set(bundle.characters.map(character => character.name.toLowerCase()));
+    return [...(existing || []).filter(character => !incoming.has(character.name.toLowerCase())), ...copy(bundle.characters)];
+};
+
+/**
+ * Merge a parsed bundle's chat state into the current chat. Overrides replace this chat's override
+ * of the same category; pins and exclusions are added; growth history is only taken for characters
+ * this chat has none for, since message positions from another chat cannot be interleaved.
+ * @param {CharacterDatabaseBundle} bundle - From parseCharacterDatabase
+ */
+const importChatState = (bundle) => {
+    Object.entries(bundle.chat.overrides).forEach(([name, categories]) => {
+        Object.entries(categories).forEach(([category, override]) => setCategoryOverride(name, category, override));
+    });
+
+    const union = (list, names) => [...list, ...names.filter(name => !list.includes(name))];
+    setChatState(CHAT_STATE_KEYS.pinned, union(getChatState(CHAT_STATE_KEYS.pinned, () => []), bundle.chat.pinned));
+    setChatState(CHAT_STATE_KEYS.excluded, union(getChatState(CHAT_STATE_KEYS.excluded, () => []), bundle.chat.excluded));
+
+    const growth = getChatState(CHAT_STATE_KEYS.growth, () => ({ characters: {} }));
+    growth.characters = growth.characters || {};
+    Object.entries(bundle.chat.growth.characters || {}).forEach(([name, record]) => {
+        if (!growth.characters[name]) {
+            growth.characters[name] = copy(record);
+        }
+    });
+    setChatState(CHAT_STATE_KEYS.growth, growth);
+};
+
+export {
+    DATABASE_FORMAT,
+    DATABASE_VERSION,
+    IMPORTED_REPO,
+    buildCharacterDatabase,
+    parseCharacterDatabase,
+    previewCharacterDatabase,
+    mergeImportedCharacters,
+    importChatState
+};
@@ -0,0 +1,262 @@
+/**
+ * @file Character detection for BunnyMoTags
+ * Decides which scanned characters a chat is currently talking about: by speaker, by
+ * name, and by the aliases/nicknames from their <ALIAS:...> and <NICKNAME:...> tags.
+ * How hard it looks is set by the characterDetectionSensitivity mode.
+ */
+
+/**
+ * What each characterDetectionSensitivity mode looks for. `window` is the default number
+ * of recent messages scanned and can be overridden per mode from settings.
+ * - low: message speaker and exact full-name mentions only
+ * - medium: adds single name words ("Luna" for "Luna Vance") and aliases
+ * - high: adds recent-mention carry-over from before the window and descriptor matches ("the kitsune")
+ */
+const DETECTION_MODES = {
+    low: { window: 5, nameWords: false, aliases: false, carryOver: false, descriptors: false },
+    medium: { window: 10, nameWords: true, aliases: true, carryOver: false, descriptors: false },
+    high: { window: 20, nameWords: true, aliases: true, carryOver: true, descriptors: true }
+};
+
+// Tag categories whose values can stand in for a name ("the kitsune", "the captain")
+const DESCRIPTOR_CATEGORIES = ['species', 'occupation', 'role', 'title', 'class'];
+
+// Every name a character can be referred to by: the NAME tag first, then its aliases
+const getCharacterNameForms = (character) => {
+    if (!character?.name) return [];
+    return [character.name, ...(character.aliases || [])];
+};
+
+// Build a lowercase name/alias -> canonical character name index for a scannedCharacters map.
+// The real NAME always wins over an alias that happens to collide with it.
+const buildAliasIndex = (characters) => {
+    const index = new Map();
+
+    for (const character of characters.values()) {
+        (character.aliases || []).forEach(alias => {
+            const key = alias.toLowerCase();
+            if (!index.has(key)) {
+                index.set(key, character.name);
+            }
+        });
+    }
+    for (const character of characters.values()) {
+        index.set(character.name.toLowerCase(), character.name);
+    }
+
+    return index;
+};
+
+// Resolve a speaker name, alias or nickname to the canonical character name (null if unknown)
+const resolveCharacterName = (name, aliasIndex) => {
+    if (!name) return null;
+    return aliasIndex.get(String(name).trim().toLowerCase()) ?? null;
+};
+
+// Scripts written without spaces between words: word boundaries mean nothing there,
+// so names in these scripts match anywhere in the text
+const UNSPACED_SCRIPT_REGEX = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+
+// A "word character" for boundary purposes: any letter, mark or digit in any script
+const WORD_CHAR = '[\\p{L}\\p{M}\\p{N}_]';
+
+// Trailing possessive: Luna's, Luna’s, Marcus'
+const POSSESSIVE = "(?:['’]s|['’](?=\\s|$))?";
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Compiled matchers are cached per form and case mode; the same names are matched every message
+const matcherCache = new Map();
+
+// Build (or reuse) the regex that finds one name form as a whole word, possessives included
+const getNameMatcher = (form, caseSensitive = false) => {
+    const cacheKey = `${caseSensitive ? 'cs' : 'ci'}:${form}`;
+    if (matcherCache.has(cacheKey)) {
+        return matcherCache.get(cacheKey);
+    }
+
+    // Any run of whitespace in the text may separate the words of a multi-word name
+    const body = form.trim().split(/\s+/).map(escapeRegex).join('\\s+');
+    const pattern = UNSPACED_SCRIPT_REGEX.test(form)
+        ? body
+        : `(?<!${WORD_CHAR})${body}${POSSESSIVE}(?!${WORD_CHAR})`;
+    const regex = new RegExp(pattern, caseSensitive ? 'gu' : 'giu');
+
+    matcherCache.set(cacheKey, regex);
+    return regex;
+};
+
+// Every form a character can be matched by (full NAME, aliases, the longer NAME words), longest first
+const getMatchForms = (character, { aliases = true, nameWords = true } = {}) => {
+    const forms = aliases ? getCharacterNameForms(character) : [character.name];
+    const words = character.name.split(/\s+/).filter(word => word.length > 2); // Skip short words like "al", "ibn"
+    if (nameWords && words.length > 1) {
+        forms.push(...words);
+    }
+    return forms.sort((a, b) => b.length - a.length);
+};
+
+/**
+ * Find every place a character is named in a piece of text.
+ * @param {string} text - Text to search
+ * @param {import('./tagParser.js').BunnyMoCharacter} character - Character to look for
+ * @param {{caseSensitive?: boolean, aliases?: boolean, nameWords?: boolean}} [options] - Aliases and name words are matched unless turned off
+ * @returns {{name: string, form: string, text: string, index: number, end: number}[]} Non-overlapping matches in text order
+ */
+const findNameMatches = (text, character, options = {}) => {
+    if (!text || !character?.name) return [];
+
+    const matches = [];
+    for (const form of getMatchForms(character, options)) {
+        for (const match of String(text).matchAll(getNameMatcher(form, options.caseSensitive))) {
+            const index = match.index;
+            const end = index + match[0].length;
+            // Longer forms run first, so a name word inside an already matched full name is skipped
+            if (matches.some(existing => index < existing.end && end > existing.index)) continue;
+            matches.push({ name: character.name, form, text: match[0], index, end });
+        }
+    }
+
+    return matches.sort((a, b) => a.index - b.index);
+};
+
+/**
+ * Find every mentioned character in a piece of text along with where each one matched.
+ * Matches of all characters compete for the text: where spans overlap only the longest is kept
+ * (a full NAME beats an alias or name word of the same length), so with Marcus aliased
+ * "Captain Vance", "Captain Vance arrived" names Marcus and not "Luna Vance" through "Vance".
+ * @param {string} text - Text to search
+ * @param {Map<string, import('./tagParser.js').BunnyMoCharacter>|import('./tagParser.js').BunnyMoCharacter[]} characters
+ * @param {{caseSensitive?: boolean, aliases?: boolean, nameWords?: boolean}} [options]
+ * @returns {{name: string, matches: object[]}[]} One entry per mentioned character, with its matches in text order
+ */
+const findCharacterMentions = (text, characters, options = {}) => {
+    if (!text) return [];
+
+    const candidates = [];
+    for (const character of characters.values()) {
+        candidates.push(...findNameMatches(text, character, options));
+    }
+    candidates.sort((a, b) => (b.end - b.index) - (a.end - a.index)
+        || Number(b.form === b.name) - Number(a.form === a.name)
+        || a.index - b.index);
+
+    const kept = [];
+    candidates.forEach(match => {
+        if (!kept.some(existing => match.index < existing.end && match.end > existing.index)) {
+            kept.push(match);
+        }
+    });
+
+    const mentions = new Map();
+    kept.sort((a, b) => a.index - b.index).forEach(match => {
+        if (!mentions.has(match.name)) mentions.set(match.name, []);
+        mentions.get(match.name).push(match);
+    });
+    return Array.from(mentions, ([name, matches]) => ({ name, matches }));
+};
+
+// Find the names of the characters mentioned in a piece of text
+const findMentionedCharacters = (text, characters, options = {}) => {
+    return findCharacterMentions(text, characters, options).map(mention => mention.name);
+};
+
+// Build descriptor phrases ("the kitsune") that point at exactly one scanned character
+const buildDescriptorIndex = (characters) => {
+    const owners = new Map();
+
+    for (const character of characters.values()) {
+        DESCRIPTOR_CATEGORIES.forEach(category => {
+            (character.tags?.[category] || []).forEach(value => {
+                const key = value.toLowerCase();
+                if (!owners.has(key)) owners.set(key, new Set());
+                owners.get(key).add(character.name);
+            });
+        });
+    }
+
+    // Shared descriptors are ambiguous; "the elf" means nothing when two characters are elves
+    const index = new Map();
+    owners.forEach((names, descriptor) => {
+        if (names.size === 1) {
+            index.set(`the ${descriptor}`, names.values().next().value);
+        }
+    });
+    return index;
+};
+
+// Resolve a sensitivity mode name plus the user's window overrides into concrete detection rules
+const getDetectionMode = (sensitivity, windows = {}) => {
+    const modeName = DETECTION_MODES[sensitivity] ? sensitivity : 'medium';
+    const mode = DETECTION_MODES[modeName];
+    const window = parseInt(windows[modeName]);
+    return { ...mode, name: modeName, window: window > 0 ? window : mode.window };
+};
+
+/**
+ * Detect the characters a chat is currently about, using a characterDetectionSensitivity mode.
+ * @param {object[]} messages - Chat messages, oldest first (the whole chat is fine; only the mode's window is read)
+ * @param {Map<string, import('./tagParser.js').BunnyMoCharacter>} characters - scannedCharacters
+ * @param {{sensitivity?: string, windows?: Object<string, number>, carryOverWindow?: number, caseSensitive?: boolean}} [options]
+ * @returns {string[]} Canonical names of the active characters
+ */
+const detectActiveCharacters = (messages, characters, options = {}) => {
+    const activeCharacters = [];
+    if (!messages || characters.size === 0) return activeCharacters;
+
+    const mode = getDetectionMode(options.sensitivity, options.windows);
+    const matchOptions = { caseSensitive: options.caseSensitive, aliases: mode.aliases, nameWords: mode.nameWords };
+    const aliasIndex = buildAliasIndex(characters);
+    const descriptorIndex = mode.descriptors ? buildDescriptorIndex(characters) : new Map();
+    const addActive = (name) => {
+        if (name && !activeCharacters.includes(name)) {
+            activeCharacters.push(name);
+        }
+    };
+
+    // Skip BunnyMo system messages to avoid infinite loops
+    const isDetectable = (msg) => msg && msg.name !== 'BunnyMoTags';
+    const windowStart = Math.max(0, messages.length - mode.window);
+
+    messages.slice(windowStart).filter(isDetectable).forEach(msg => {
+        // Check message sender
+        addActive(resolveCharacterName(msg.name, aliasIndex));
+
+        // Check message content for character mentions
+        findMentionedCharacters(msg.mes, characters, matchOptions).forEach(addActive);
+
+        // Descriptor mentions ("the kitsune") that can only mean one character. Descriptors are indexed
+        // lowercase and are ordinary words, so they match in any case even when names are case-sensitive.
+        descriptorIndex.forEach((name, descriptor) => {
+            // search() ignores lastIndex, so the cached global regex stays reusable
+            if (msg.mes && msg.mes.search(getNameMatcher(descriptor, false)) !== -1) {
+                addActive(name);
+            }
+        });
+    });
+
+    // Carry-over: characters named in full shortly before the window are still in the scene
+    if (mode.carryOver) {
+        const carryOverWindow = options.carryOverWindow > 0 ? options.carryOverWindow : mode.window;
+        const carryStart = Math.max(0, windowStart - carryOverWindow);
+        messages.slice(carryStart, windowStart).filter(isDetectable).forEach(msg => {
+            addActive(resolveCharacterName(msg.name, aliasIndex));
+            findMentionedCharacters(msg.mes, characters, { ...matchOptions, nameWords: false }).forEach(addActive);
+        });
+    }
+
+    return activeCharacters;
+};
+
+export {
+    DETECTION_MODES,
+    getDetectionMode,
+    getCharacterNameForms,
+    buildAliasIndex,
+    resolveCharacterName,
+    getNameMatcher,
+    findNameMatches,
+    findCharacterMentions,
+    findMentionedCharacters,
+    detectActiveCharacters
+};
@@ -0,0 +1,114 @@
+/**
+ * @file Per-chat BunnyMoTags state
+ * Everything BunnyMoTags remembers about a single chat lives in chat_metadata under its
+ * own bunnymo_* key, so it travels with the chat file and switches with the chat.
+ */
+
+import { chat_metadata } from '../../../../script.js';
+import { saveMetadataDebounced } from '../../../extensions.js';
+
+// chat_metadata keys owned by BunnyMoTags (bunnymo_config is owned by the WorldInfo panel)
+const CHAT_STATE_KEYS = {
+    presence: 'bunnymo_presence',
+    pinned: 'bunnymo_pinned',
+    excluded: 'bunnymo_excluded',
+    serializer: 'bunnymo_serializer',
+    overrides: 'bunnymo_overrides',
+    growth: 'bunnymo_growth'
+};
+
+// Read a per-chat state object, creating it from the factory the first time
+const getChatState = (key, createDefault) => {
+    if (!chat_metadata) {
+        return createDefault();
+    }
+    if (chat_metadata[key] === undefined || chat_metadata[key] === null) {
+        chat_metadata[key] = createDefault();
+    }
+    return chat_metadata[key];
+};
+
+// Replace a per-chat state object
+const setChatState = (key, value) => {
+    if (!chat_metadata) return;
+    chat_metadata[key] = value;
+    saveChatState();
+};
+
+// Persist chat_metadata with the chat (debounced by SillyTavern)
+const saveChatState = () => {
+    if (typeof saveMetadataDebounced === 'function') {
+        saveMetadataDebounced();
+    }
+};
+
+// Pinned characters are injected in every generation of this chat
+const getPinnedCharacters = () => getChatState(CHAT_STATE_KEYS.pinned, () => []);
+
+// Excluded characters are never injected in this chat, even when named
+const getExcludedCharacters = () => getChatState(CHAT_STATE_KEYS.excluded, () => []);
+
+const isCharacterPinned = (name) => getPinnedCharacters().includes(name);
+
+const isCharacterExcluded = (name) => getExcludedCharacters().includes(name);
+
+// Add or remove a name from one of the per-chat character lists
+const setListMembership = (list, name, member) => {
+    const index = list.indexOf(name);
+    if (member && index === -1) {
+        list.push(name);
+    } else if (!member && index !== -1) {
+        list.splice(index, 1);
+    }
+};
+
+// Pin or unpin a character; pinning a character also takes it off the exclude list
+const setCharacterPinned = (name, pinned) => {
+    if (!name) return;
+    setListMembership(getPinnedCharacters(), name, pinned);
+    if (pinned) {
+        setListMembership(getExcludedCharacters(), name, false);
+    }
+    saveChatState();
+};
+
+// Exclude or re-include a character; excluding a character also unpins it
+const setCharacterExcluded = (name, excluded) => {
+    if (!name) return;
+    setListMembership(getExcludedCharacters(), name, excluded);
+    if (excluded) {
+        setListMembership(getPinnedCharacters(), name, false);
+    }
+    saveChatState();
+};
+
+/**
+ * Apply this chat's pin and exclude lists to a set of detected character names.
+ * @param {string[]} names - Detected character names
+ * @param {(name: string) => boolean} [isKnown] - Pinned names failing this check are skipped (e.g. not scanned)
+ * @returns {string[]} Detected names minus excluded ones, plus pinned ones
+ */
+const applyCharacterLists = (names, isKnown = () => true) => {
+    const excluded = getExcludedCharacters();
+    const result = names.filter(name => !excluded.includes(name));
+    getPinnedCharacters().forEach(name => {
+        if (!result.includes(name) && isKnown(name)) {
+            result.push(name);
+        }
+    });
+    return result;
+};
+
+export {
+    CHAT_STATE_KEYS,
+    getChatState,
+    setChatState,
+    saveChatState,
+    getPinnedCharacters,
+    getExcludedCharacters,
+    isCharacterPinned,
+    isCharacterExcluded,
+    setCharacterPinned,
+    setCharacterExcluded,
+    applyCharacterLists
+};
@@ -0,0 +1,58 @@
+/**
+ * @file Group chat awareness for BunnyMoTags
+ * Works out who is in the current group chat and whose turn it is, so group members
+ * with repo entries count as present and the speaker can be anchored to their own sheet.
+ */
+
+import { eventSource, event_types } from '../../../../script.js';
+import { getContext } from '../../../extensions.js';
+
+// Name of the group member SillyTavern drafted to speak next (null outside group generations)
+let draftedSpeaker = null;
+
+// The current group, or null in a one-on-one chat
+const getCurrentGroup = () => {
+    const context = getContext();
+    if (!context?.groupId) return null;
+    return context.groups?.find(group => group.id === context.groupId) || null;
+};
+
+const isGroupChat = () => !!getCurrentGroup();
+
+// Names of the current group's members; muted (disabled) members are left out unless asked for
+const getGroupMemberNames = ({ includeDisabled = false } = {}) => {
+    const group = getCurrentGroup();
+    if (!group || !Array.isArray(group.members)) return [];
+
+    const characters = getContext()?.characters || [];
+    const disabled = group.disabled_members || [];
+    return group.members
+        .filter(avatar => includeDisabled || !disabled.includes(avatar))
+        .map(avatar => characters.find(character => character.avatar === avatar)?.name)
+        .filter(Boolean);
+};
+
+// Who is about to speak: the drafted member in a group, the character card otherwise
+const getCurrentSpeakerName = () => {
+    if (isGroupChat()) {
+        return draftedSpeaker;
+    }
+    return getContext()?.name2 || null;
+};
+
+// Follow group drafting so getCurrentSpeakerName knows whose turn it is
+const trackGroupSpeaker = () => {
+    eventSource.on(event_types.GROUP_MEMBER_DRAFTED, (characterId) => {
+        draftedSpeaker = getContext()?.characters?.[characterId]?.name ?? null;
+    });
+    eventSource.on(event_types.CHAT_CHANGED, () => {
+        draftedSpeaker = null;
+    });
+};
+
+export {
+    isGroupChat,
+    getGroupMemberNames,
+    getCurrentSpeakerName,
+    trackGroupSpeaker
+};
@@ -0,0 +1,121 @@
+/**
+ * @file Character growth history
+ * Records every change to a character's effective tags in a chat (repo edits, per-chat
+ * overrides, accepted suggestions) with the message it happened at, so the Growth tab can
+ * show how Luna went from ANXIOUS to SECURE attachment and rebuild her sheet as of any
+ * earlier message.
+ */
+
+import { chat } from '../../../../script.js';
+import { CHAT_STATE_KEYS, getChatState, saveChatState } from './chatState.js';
+
+// Where a change came from
+const GROWTH_SOURCES = {
+    repo: 'repo', // The character's repo entry was edited
+    override: 'override', // This chat's tag overrides changed
+    suggestion: 'suggestion' // A suggested tag (inferred by BunnyRecc, say) was accepted for this chat
+};
+
+/**
+ * Growth history of one character in one chat.
+ * @typedef {Object} GrowthRecord
+ * @property {{tags: Object<string, string[]>, messageIndex: number, timestamp: number}} baseline - Tags when first seen in this chat
+ * @property {Object<string, string[]>} current - Tags as of the latest change
+ * @property {{category: string, before: string[], after: string[], source: string, messageIndex: number, timestamp: number}[]} changes - Oldest first
+ */
+
+// { characters: { [name]: GrowthRecord } }
+const getGrowthState = () => getChatState(CHAT_STATE_KEYS.growth, () => ({ characters: {} }));
+
+const currentMessageIndex = () => Math.max(0, (chat?.length ?? 1) - 1);
+
+const copyTags = (tags) => Object.fromEntries(Object.entries(tags || {}).map(([category, values]) => [category, [...values]]));
+
+const sameValues = (a = [], b = []) => a.length === b.length && a.every(value => b.includes(value));
+
+// This chat's growth record for a character (null when it has never been tracked here)
+const getGrowthHistory = (name) => getGrowthState().characters[name] || null;
+
+/**
+ * Compare a character's effective tags with what this chat last saw and record what changed.
+ * The first time a character is seen only its baseline is stored.
+ * @param {import('./tagParser.js').BunnyMoCharacter} character - Effective character (overrides applied)
+ * @param {string} source - One of GROWTH_SOURCES
+ * @param {number} [messageIndex] - Defaults to the last message of the chat
+ * @returns {object[]} The changes recorded
+ */
+const trackEffectiveTags = (character, source, messageIndex = currentMessageIndex()) => {
+    if (!character?.name) return [];
+
+    const state = getGrowthState();
+    const record = state.characters[character.name];
+    const timestamp = Date.now();
+
+    if (!record) {
+        state.characters[character.name] = {
+            baseline: { tags: copyTags(character.tags), messageIndex, timestamp },
+            current: copyTags(character.tags),
+            changes: []
+        };
+        saveChatState();
+        return [];
+    }
+
+    const categories = new Set([...Object.keys(record.current), ...Object.keys(character.tags || {})]);
+    const changes = [];
+    categories.forEach(category => {
+        const before = record.current[category] || [];
+        const after = character.tags?.[category] || [];
+        if (!sameValues(before, after)) {
+            changes.push({ category, before: [...before], after: [...after], source, messageIndex, timestamp });
+        }
+    });
+
+    if (changes.length > 0) {
+        record.changes.push(...changes);
+        record.current = copyTags(character.tags);
+        saveChatState();
+    }
+    return changes;
+};
+
+/**
+ * Rebuild a character's tags as they were at a message of this chat.
+ * Before the baseline the baseline is the earliest state known.
+ * @param {string} name - Character name
+ * @param {number} messageIndex - Message index in this chat
+ * @returns {Object<string, string[]>|null} null when the character was never tracked here
+ */
+const getTagsAsOf = (name, messageIndex) => {
+    const record = getGrowthHistory(name);
+    if (!record) return null;
+
+    const tags = copyTags(record.baseline.tags);
+    record.changes
+        .filter(change => change.messageIndex <= messageIndex)
+        .forEach(change => {
+            if (change.after.length > 0) {
+                tags[change.category] = [...change.after];
+            } else {
+                delete tags[change.category];
+            }
+        });
+    return tags;
+};
+
+// Forget a character's history in this chat
+const clearGrowthHistory = (name) => {
+    const state = getGrowthState();
+    if (state.characters[name]) {
+        delete state.characters[name];
+        saveChatState();
+    }
+};
+
+export {
+    GROWTH_SOURCES,
+    getGrowthHistory,
+    trackEffectiveTags,
+    getTagsAsOf,
+    clearGrowthHistory
+};
@@ -7,8 +7,21 @@ import { sendSystemMessage, system_message_types, system_messages } from '../../
 import { getMessageTimeStamp } from '../../../RossAscends-mods.js';
 import { initBunnyMoWorldInfo, bunnyMoWorldInfoLog } from './worldinfo.js';
 import { initializeBunnyRecc } from './bunnyrecc.js';
-import { parseBunnyMoData, generateBunnyMoBlock } from './cardRenderer.js';
-import { processMessageForAI, extractDisplayData, debugOptimization, optimizeForAI } from './tokenOptimizer.js';
+import { parseBunnyMoData } from './cardRenderer.js';
+import { extractBunnyMoCharacters, parseCharacterTagLines, normalizeCategory, normalizeTagValue } from './tagParser.js';
+import { detectActiveCharacters, findMentionedCharacters, getDetectionMode, buildAliasIndex, resolveCharacterName } from './characterDetection.js';
+import { updatePresence, getPresentCharacters, describePresence } from './presence.js';
+import { GROWTH_SOURCES, getGrowthHistory, trackEffectiveTags, getTagsAsOf } from './growth.js';
+import { getCharacterOverrides, hasCharacterOverrides, setCategoryOverride, applyChatOverrides } from './overrides.js';
+import { MERGE_POLICIES, orderRepos, mergeRepoCharacters } from './repoMerge.js';
+import { IMPORTED_REPO, buildCharacterDatabase, parseCharacterDatabase, previewCharacterDatabase, mergeImportedCharacters, importChatState } from './characterDatabase.js';
+import { collectTagDefinitions, formatTagDefinitions, listTagCategories } from './tagLibrary.js';
+import { registerBunnyMoMacros, registerCharacterMacros, setActiveCharacters, getActiveCharacters } from './macros.js';
+import { BUNNYMO_EVENTS, cloneCharacter, emitBunnyMoEvent, installBunnyMoApi } from './api.js';
+import { listSerializers, serializeCharacters, getActiveSerializerId, getSerializer, getChatSerializerId, setChatSerializerId, getCurrentConnectionProfile } from './serializers.js';
+import { isGroupChat, getGroupMemberNames, getCurrentSpeakerName, trackGroupSpeaker } from './groupChat.js';
+import { getPinnedCharacters, isCharacterPinned, isCharacterExcluded, setCharacterPinned, setCharacterExcluded, applyCharacterLists } from './chatState.js';
+import { processMessageForAI, extractDisplayData, debugOptimization, optimizeForAI, generateCompactFormat, assembleBudgetedInjection, describeDroppedContent } from './tokenOptimizer.js';
 import { processMessageForCards, refreshAllBunnyMoCards } from './messageProcessor.js';
 import { initializeTemplateManager, templateManager } from './templateManager.js';
 // Settings system removed for simplicity
@@ -1023,13 +1036,24 @@ function createTabbedCharacterCard(character, index, tabType) {
     `;
     nameText.textContent = name;
     nameDiv.appendChild(nameText);
+    
+    const presenceIndicator = createPresenceIndicator(name);
+    if (presenceIndicator) {
+        nameDiv.appendChild(presenceIndicator);
+    }
+    nameDiv.appendChild(createChatListToggles(name));
+    const overrideSummary = createOverrideSummary(character);
+    if (overrideSummary) {
+        nameDiv.appendChild(overrideSummary);
+    }
     card.appendChild(nameDiv);
 
     // Create tab-specific content
-    const tabContent = createTabSpecificContent(tags, tabType);
+    const tabContent = tabType === 'growth' ? createGrowthTimeline(character) : createTabSpecificContent(tags, tabType);
     if (tabContent) {
         card.appendChild(tabContent);
     }
+    markOverriddenTags(card, character);
     
     console.log(`[BMT CARDS] Created ${tabType} card for: ${name}`);
     return card;
@@ -1086,6 +1110,374 @@ function refreshTabContent(character, tabContents) {
     }
 }
 
+/**
+ * Show how long a character stays injected without being named again (null when not present)
+ */
+function createPresenceIndicator(name) {
+    const settings = extension_settings[extensionName] || defaultSettings;
+    const presence = describePresence(name);
+    if (!(settings.presenceEnabled ?? defaultSettings.presenceEnabled) || !presence.present) {
+        return null;
+    }
+    
+    const presenceText = document.createElement('div');
+    presenceText.className = 'bunnymo-presence';
+    presenceText.style.cssText = `
+        font-size: 0.8em;
+        color: rgba(255, 255, 255, 0.7);
+        text-align: center;
+        margin-top: 6px;
+    `;
+    const remaining = presence.messagesLeft === 0
+        ? 'fades after this message'
+        : `stays for ${presence.messagesLeft} more message${presence.messagesLeft === 1 ? '' : 's'}`;
+    presenceText.textContent = `🫧 Presence ${presence.score}/${presence.max} · ${remaining}`;
+    presenceText.title = 'Mentions and speaking raise presence; every message lowers it. Characters with presence keep being injected.';
+    return presenceText;
+}
+
+/**
+ * Pin/exclude toggles for a character in the current chat
+ */
+function createChatListToggles(name) {
+    const toggles = document.createElement('div');
+    toggles.className = 'bunnymo-chat-list-toggles';
+    toggles.style.cssText = `
+        display: flex;
+        justify-content: center;
+        gap: 8px;
+        margin-top: 8px;
+    `;
+    
+    const makeToggle = (label, title, isActive, onClick) => {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.title = title;
+        const paint = () => {
+            const active = isActive(name);
+            button.style.cssText = `
+                padding: 3px 10px;
+                font-size: 0.75em;
+                border-radius: 12px;
+                cursor: pointer;
+                color: rgba(255, 255, 255, 0.9);
+                background: ${active ? 'rgba(255, 105, 180, 0.35)' : 'rgba(255, 255, 255, 0.08)'};
+                border: 1px solid ${active ? '#ff69b4' : 'rgba(255, 255, 255, 0.2)'};
+            `;
+        };
+        button.addEventListener('click', async (event) => {
+            event.stopPropagation();
+            await onClick();
+            // Pin and exclude are mutually exclusive, so repaint both
+            toggles.querySelectorAll('button').forEach(btn => btn.bmtPaint());
+        });
+        button.bmtPaint = paint;
+        paint();
+        return button;
+    };
+    
+    const logLists = () => logSeq(`📌 ${name}: pinned=${isCharacterPinned(name)}, excluded=${isCharacterExcluded(name)}`);
+    toggles.appendChild(makeToggle('📌 Pin', 'Always inject this character in this chat', isCharacterPinned, () => {
+        setCharacterPinned(name, !isCharacterPinned(name));
+        logLists();
+    }));
+    toggles.appendChild(makeToggle('🚫 Exclude', 'Never inject this character in this chat, even when named', isCharacterExcluded, () => {
+        setCharacterExcluded(name, !isCharacterExcluded(name));
+        logLists();
+    }));
+    toggles.appendChild(makeToggle('✎ Override', 'Change this character\'s tags for this chat only', hasCharacterOverrides, () => openOverrideEditor(name)));
+    return toggles;
+}
+
+/**
+ * Growth tab: how a character's tags changed in this chat, newest first, and a way to
+ * see the whole sheet as of any earlier message
+ */
+function createGrowthTimeline(character) {
+    const name = character.name;
+    const record = getGrowthHistory(name);
+    const container = document.createElement('div');
+    container.className = 'bunnymo-growth-timeline';
+    container.style.cssText = `padding: 20px 24px;`;
+    
+    const note = (text) => {
+        const noteDiv = document.createElement('div');
+        noteDiv.style.cssText = `
+            font-size: 0.85em;
+            color: rgba(255, 255, 255, 0.6);
+            text-align: center;
+            margin: 8px 0;
+        `;
+        noteDiv.textContent = text;
+        return noteDiv;
+    };
+    
+    if (!record) {
+        container.appendChild(note('Not tracked in this chat yet. Tag changes are recorded from the first time this character is activated here.'));
+        return container;
+    }
+    
+    // "As of" picker
+    const lastMessage = Math.max(0, (chat?.length ?? 1) - 1);
+    const picker = document.createElement('div');
+    picker.style.cssText = `
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        gap: 8px;
+        margin-bottom: 16px;
+        font-size: 0.85em;
+        color: rgba(255, 255, 255, 0.8);
+    `;
+    const pickerLabel = document.createElement('span');
+    pickerLabel.textContent = 'Sheet as of message #';
+    const pickerInput = document.createElement('input');
+    pickerInput.type = 'number';
+    pickerInput.min = '0';
+    pickerInput.max = String(lastMessage);
+    pickerInput.value = String(lastMessage);
+    pickerInput.style.cssText = `width: 5em;`;
+    const pickerButton = document.createElement('button');
+    pickerButton.textContent = 'View';
+    pickerButton.style.cssText = `
+        padding: 3px 10px;
+        border-radius: 12px;
+        cursor: pointer;
+        color: rgba(255, 255, 255, 0.9);
+        background: rgba(255, 255, 255, 0.08);
+        border: 1px solid rgba(255, 255, 255, 0.2);
+    `;
+    pickerButton.addEventListener('click', (event) => {
+        event.stopPropagation();
+        showCharacterAsOf(name, parseInt(pickerInput.value) || 0);
+    });
+    picker.append(pickerLabel, pickerInput, pickerButton);
+    container.appendChild(picker);
+    
+    if (record.changes.length === 0) {
+        container.appendChild(note(`No tag changes since message #${record.baseline.messageIndex}.`));
+        return container;
+    }
+    
+    const sourceLabels = {
+        [GROWTH_SOURCES.repo]: '🗂 repo edit',
+        [GROWTH_SOURCES.override]: '✎ chat override',
+        [GROWTH_SOURCES.suggestion]: '💡 suggestion'
+    };
+    
+    [...record.changes].reverse().forEach(change => {
+        const row = document.createElement('div');
+        row.style.cssText = `
+            display: flex;
+            align-items: baseline;
+            gap: 10px;
+            padding: 8px 0;
+            border-left: 2px solid rgba(255, 105, 180, 0.5);
+            padding-left: 12px;
+            margin-left: 6px;
+            cursor: pointer;
+        `;
+        row.title = `${new Date(change.timestamp).toLocaleString()} - click to view the sheet as of this message`;
+        row.addEventListener('click', (event) => {
+            event.stopPropagation();
+            showCharacterAsOf(name, change.messageIndex);
+        });
+        
+        const messageBadge = document.createElement('span');
+        messageBadge.style.cssText = `
+            font-size: 0.75em;
+            color: #ff69b4;
+            font-weight: 600;
+            min-width: 3.5em;
+        `;
+        messageBadge.textContent = `#${change.messageIndex}`;
+        
+        const description = document.createElement('span');
+        description.style.cssText = `flex: 1; font-size: 0.85em; color: rgba(255, 255, 255, 0.9);`;
+        const category = document.createElement('b');
+        category.textContent = `${change.category}: `;
+        const before = document.createElement('span');
+        before.style.cssText = `text-decoration: line-through; opacity: 0.6;`;
+        before.textContent = change.before.join(', ') || '—';
+        const after = document.createElement('span');
+        after.textContent = change.after.join(', ') || '—';
+        description.append(category, before, document.createTextNode(' → '), after);
+        
+        const source = document.createElement('span');
+        source.style.cssText = `font-size: 0.7em; color: rgba(255, 255, 255, 0.6); white-space: nowrap;`;
+        source.textContent = sourceLabels[change.source] || change.source;
+        
+        row.append(messageBadge, description, source);
+        container.appendChild(row);
+    });
+    
+    container.appendChild(note(`Tracking since message #${record.baseline.messageIndex}.`));
+    return container;
+}
+
+/**
+ * Show a character's sheet rebuilt from growth history as of a message of this chat
+ */
+async function showCharacterAsOf(name, messageIndex) {
+    const tags = getTagsAsOf(name, messageIndex);
+    if (!tags) {
+        return;
+    }
+    
+    const wrapper = document.createElement('div');
+    const title = document.createElement('h3');
+    title.textContent = `📈 ${name} as of message #${messageIndex}`;
+    wrapper.appendChild(title);
+    wrapper.appendChild(createCharacterCard({ name, aliases: [], tags, source: 'growth history', asOfMessage: messageIndex }, 0));
+    
+    const context = getContext();
+    await context.callGenericPopup(wrapper, context.POPUP_TYPE.TEXT, '', { wide: true, allowVerticalScrolling: true });
+}
+
+/**
+ * List the tags this chat's overrides removed from a character (null when none were removed)
+ */
+function createOverrideSummary(character) {
+    const removed = Object.values(character?.overriddenTags || {}).flatMap(override => override.removed);
+    if (removed.length === 0) {
+        return null;
+    }
+    
+    const summary = document.createElement('div');
+    summary.className = 'bunnymo-override-summary';
+    summary.style.cssText = `
+        font-size: 0.75em;
+        color: rgba(255, 215, 0, 0.85);
+        text-align: center;
+        margin-top: 6px;
+    `;
+    summary.textContent = '✎ Removed in this chat: ';
+    removed.forEach((tag, index) => {
+        const tagText = document.createElement('span');
+        tagText.style.textDecoration = 'line-through';
+        tagText.textContent = tag;
+        summary.appendChild(tagText);
+        if (index < removed.length - 1) {
+            summary.appendChild(document.createTextNode(', '));
+        }
+    });
+    return summary;
+}
+
+/**
+ * Outline the tags this chat's overrides added, so they stand out from the repo tags
+ */
+function markOverriddenTags(card, character) {
+    const added = new Set(Object.values(character?.overriddenTags || {}).flatMap(override => override.added));
+    if (added.size === 0) {
+        return;
+    }
+    
+    card.querySelectorAll('[data-original-tag]').forEach(tagElement => {
+        if (!added.has(tagElement.getAttribute('data-original-tag'))) return;
+        tagElement.style.outline = '2px dashed #ffd700';
+        tagElement.style.outlineOffset = '2px';
+        tagElement.title = 'Changed for this chat (tag override)';
+        tagElement.insertBefore(document.createTextNode('✎ '), tagElement.firstChild);
+    });
+}
+
+/**
+ * Accept suggested tags for a character in this chat: they are added as overrides (the repo entry
+ * is not changed) and recorded as suggestion growth.
+ * @param {string} name - Character name or alias
+ * @param {Object<string, string[]>} tags - Canonical tags to add
+ * @returns {string[]|null} The categories that changed, null when the character is not scanned
+ */
+function acceptSuggestedTags(name, tags) {
+    const key = resolveCharacterName(name, buildAliasIndex(scannedCharacters));
+    const character = key ? scannedCharacters.get(key) : null;
+    if (!character) {
+        return null;
+    }
+    
+    // Catch up on repo changes first so the growth history credits only the accepted tags to the suggestion
+    trackEffectiveTags(applyChatOverrides(character), GROWTH_SOURCES.repo);
+    
+    const overrides = getCharacterOverrides(key);
+    Object.entries(tags || {}).forEach(([category, values]) => {
+        const current = overrides[normalizeCategory(category)] || { replace: null, add: [], remove: [] };
+        const accepted = values.map(normalizeTagValue).filter(Boolean);
+        setCategoryOverride(key, category, {
+            replace: current.replace,
+            add: [...current.add, ...accepted],
+            remove: current.remove.filter(value => !accepted.includes(value))
+        });
+    });
+    
+    const changes = trackEffectiveTags(applyChatOverrides(character), GROWTH_SOURCES.suggestion);
+    logSeq(`💡 Accepted suggested tags for ${key} in this chat: ${JSON.stringify(tags)}`);
+    refreshCardsForCharacters([key]);
+    return changes.map(change => change.category);
+}
+
+/**
+ * Edit a character's tag overrides for this chat: per category, replace the repo tags,
+ * add tags or remove tags. Empty fields leave the repo tags alone.
+ */
+async function openOverrideEditor(name) {
+    const character = scannedCharacters.get(name);
+    if (!character) {
+        toastr.warning(`${name} is not in a scanned character repo`, 'BunnyMoTags');
+        return;
+    }
+    
+    const overrides = getCharacterOverrides(name);
+    const categories = [...new Set([...Object.keys(character.tags), ...Object.keys(overrides)])];
+    const form = $('<div class="bmt-override-editor">')
+        .append($('<h3>').text(`✎ ${name} in this chat`))
+        .append('<p class="bmt-help-text">Comma-separated tags. Replace swaps the repo tags out, then Remove and Add apply. The repo entry is not changed.</p>');
+    const table = $('<table style="width: 100%; border-collapse: collapse; text-align: left;">')
+        .append('<tr><th>Category</th><th>Repo tags</th><th>Replace with</th><th>Add</th><th>Remove</th></tr>');
+    
+    const addRow = (category) => {
+        const override = overrides[category] || {};
+        const row = $('<tr style="border-top: 1px solid rgba(128, 128, 128, 0.3);">').attr('data-category', category || '');
+        row.append(category
+            ? $('<td>').text(category)
+            : $('<td>').append($('<input class="text_pole" data-field="category" placeholder="new category">')));
+        row.append($('<td style="opacity: 0.7;">').text((character.tags[category] || []).join(', ')));
+        row.append($('<td>').append($('<input class="text_pole" data-field="replace">').val((override.replace || []).join(', '))));
+        row.append($('<td>').append($('<input class="text_pole" data-field="add">').val((override.add || []).join(', '))));
+        row.append($('<td>').append($('<input class="text_pole" data-field="remove">').val((override.remove || []).join(', '))));
+        table.append(row);
+    };
+    categories.forEach(addRow);
+    addRow(null);
+    form.append(table);
+    
+    const context = getContext();
+    const result = await context.callGenericPopup(form, context.POPUP_TYPE.CONFIRM, '', { wide: true, okButton: 'Save', cancelButton: 'Cancel' });
+    if (!result) {
+        return;
+    }
+    
+    // Catch up on repo changes first so the growth history credits only the override edits to the override
+    trackEffectiveTags(applyChatOverrides(character), GROWTH_SOURCES.repo);
+    
+    // The form is detached once the popup closes, but its inputs still hold what was typed
+    form.find('tr[data-category]').each(function() {
+        const row = $(this);
+        const category = row.attr('data-category') || row.find('[data-field="category"]').val();
+        if (!category) return;
+        const replace = row.find('[data-field="replace"]').val().trim();
+        setCategoryOverride(name, category, {
+            replace: replace ? replace : null,
+            add: row.find('[data-field="add"]').val(),
+            remove: row.find('[data-field="remove"]').val()
+        });
+    });
+    
+    logSeq(`✎ Tag overrides for ${name} in this chat: ${JSON.stringify(getCharacterOverrides(name))}`);
+    trackEffectiveTags(applyChatOverrides(character), GROWTH_SOURCES.override);
+    refreshCardsForCharacters([name]);
+}
+
 /**
  * Create tab-specific content based on tag organization
  */
@@ -2291,6 +2683,19 @@ function createCharacterCard(character, index) {
     `;
     nameText.textContent = name;
     nameDiv.appendChild(nameText);
+    
+    // A sheet rebuilt from growth history is a snapshot: no live presence or chat controls
+    if (character.asOfMessage === undefined) {
+        const presenceIndicator = createPresenceIndicator(name);
+        if (presenceIndicator) {
+            nameDiv.appendChild(presenceIndicator);
+        }
+        nameDiv.appendChild(createChatListToggles(name));
+        const overrideSummary = createOverrideSummary(character);
+        if (overrideSummary) {
+            nameDiv.appendChild(overrideSummary);
+        }
+    }
     card.appendChild(nameDiv);
 
     // Tags container
@@ -2437,6 +2842,7 @@ function createCharacterCard(character, index) {
                 white-space: nowrap;
             `;
             tagSpan.textContent = tag;
+            tagSpan.setAttribute('data-original-tag', tag);
             
             // Add magical shimmer effect
             const shimmer = document.createElement('div');
@@ -2478,6 +2884,7 @@ function createCharacterCard(character, index) {
 
     // Add tags container to card
     card.appendChild(tagsContainer);
+    markOverriddenTags(card, character);
 
     // Add magical card hover effect
     card.addEventListener('mouseenter', function() {
@@ -2777,9 +3184,8 @@ async function BMT_restoreAllCards() {
                     if (!characterData && scannedCharacters.size > 0) {
                         logSeq('⚠️ Using fallback character data from current scan');
                         characterData = {
-                            characters: Array.from(scannedCharacters.entries()).map(([name, data]) => ({
-                                name: name,
-                                tags: Object.fromEntries(data.tags),
+                            characters: Array.from(scannedCharacters.values()).map(data => ({
+                                ...data,
                                 source: data.source || 'BunnyMoTags'
                             }))
                         };
@@ -2805,8 +3211,11 @@ async function BMT_restoreAllCards() {
 
 let selectedLorebooks = new Set();
 let characterRepoBooks = new Set(); // lorebooks marked as containing character data
-let scannedCharacters = new Map(); // character_name -> { tags: Map, source: lorebook_name }
+let scannedCharacters = new Map(); // character_name -> BunnyMoCharacter (canonical shape, see tagParser.js)
 let tagPackEntries = new Map(); // tag_name -> { content: string, keys: array, source: lorebook_name }
+let repoEntrySnapshots = new Map(); // repo lorebook -> Map<uid, { content, characters: names }> as last scanned
+let lorebookScanCache = new Map(); // lorebook -> parsed characters (repos) or tag entries (libraries), in scan order
+let repoMergeConflicts = []; // categories that several repos define differently, from the last merge (see repoMerge.js)
 let lastProcessedMessage = null; // Track the last message processed to avoid duplicates
 let logSequence = 0; // Add sequence numbers to logs for clarity
 let bunnyMoWorldInfoUI = null; // Enhanced WorldInfo display system
@@ -2821,6 +3230,19 @@ const defaultSettings = {
     autoHideEmpty: true,
     maxCharactersShown: 6,
     characterDetectionSensitivity: 'medium',
+    detectionWindows: { low: 5, medium: 10, high: 20 }, // Recent messages scanned per sensitivity mode
+    detectionCarryOverWindow: 10, // High sensitivity: messages before the window whose full-name mentions carry over
+    caseSensitiveNames: false, // Match character names and aliases with exact casing
+    // Presence (mention decay) settings - see presence.js
+    presenceEnabled: true,
+    presenceMentionBoost: 3,
+    presenceSpeakerBoost: 4,
+    presenceDecay: 1,
+    presenceThreshold: 1,
+    presenceMax: 10,
+    // Group chat settings
+    groupMembersPresent: true, // Group members with repo entries always count as present
+    groupSpeakerFocus: false, // Inject the current speaker in full and everyone else compact
     debugMode: false,
     sendToAI: true,
     userEditable: true,
@@ -2838,6 +3260,15 @@ const defaultSettings = {
     aiPriorityTags: ['species', 'personality', 'physical'],
     aiMaxTagsPerCategory: 2,
     aiUseCompactFormat: true,
+    aiTokenBudget: 0, // Max tokens of injected character data (0 = no budget), measured with SillyTavern's tokenizer
+    injectionSerializer: 'bullets', // Default injection format - see serializers.js (chat and connection profile choices win)
+    serializerByProfile: {}, // connection profile id -> serializer id
+    injectTagDefinitions: true, // Send tag library definitions with the injected tags
+    disabledDefinitionCategories: [], // Tag categories whose definitions are never sent
+    repoPriority: [], // Character repo merge order: first is the base, later repos layer on top
+    defaultMergePolicy: 'first-wins', // How a tag category combines across repos - see repoMerge.js
+    mergePolicies: {}, // category -> merge policy, overriding the default
+    importedCharacters: [], // Characters from imported character databases, merged as the IMPORTED_REPO repo
     optimizeUserMessages: true
 };
 
@@ -2942,6 +3373,9 @@ function saveSettings() {
     if ($('#bmt-optimize-user-messages').length > 0) {
         extension_settings[extensionName].optimizeUserMessages = $('#bmt-optimize-user-messages').prop('checked');
     }
+    if ($('#bmt-ai-token-budget').length > 0) {
+        extension_settings[extensionName].aiTokenBudget = parseInt($('#bmt-ai-token-budget').val()) || 0;
+    }
     if ($('#bmt-ai-max-characters').length > 0) {
         extension_settings[extensionName].aiMaxCharacters = parseInt($('#bmt-ai-max-characters').val());
     }
@@ -3497,51 +3931,17 @@ function displayInjectedCharacterData(characterData, activeCharacters) {
 
 // Helper function to parse character data back into display format
 function parseCharacterDataForDisplay(characterData, charName) {
-    const lines = characterData.split('\n');
-    let currentChar = null;
-    
-    for (const line of lines) {
-        if (line.includes(charName + ':')) {
-            currentChar = {
-                name: charName,
-                tags: new Map()
-            };
-            break;
-        }
-    }
+    const character = parseCharacterTagLines(characterData).find(char => char.name === charName);
     
-    if (!currentChar) {
+    if (!character) {
         // Fallback - create basic character structure
         return {
             name: charName,
-            tags: new Map([['Info', new Set(['Character data was injected to AI'])]])
+            tags: { info: ['CHARACTER DATA WAS INJECTED TO AI'] }
         };
     }
     
-    // Parse the character's tag lines
-    let inCharacterSection = false;
-    for (const line of lines) {
-        if (line.includes(charName + ':')) {
-            inCharacterSection = true;
-            continue;
-        }
-        
-        if (inCharacterSection && line.startsWith('- ')) {
-            const tagLine = line.substring(2).trim();
-            const colonIndex = tagLine.indexOf(':');
-            if (colonIndex > 0) {
-                const tagType = tagLine.substring(0, colonIndex).trim();
-                const tagValues = tagLine.substring(colonIndex + 1).trim();
-                const valueSet = new Set(tagValues.split(',').map(v => v.trim()));
-                currentChar.tags.set(tagType, valueSet);
-            }
-        } else if (inCharacterSection && line.trim() && !line.startsWith('-')) {
-            // End of this character's section
-            break;
-        }
-    }
-    
-    return currentChar;
+    return character;
 }
 
 // Parse <BunnyMoTags> content from message text (like <think> tags)
@@ -3572,41 +3972,7 @@ function parseBunnyMoFromMessage(messageContent) {
 
 // Parse character tags from BunnyMo content
 function parseCharacterTags(content) {
-    const characters = [];
-    const lines = content.split('\n');
-    let currentChar = null;
-    
-    lines.forEach(line => {
-        line = line.trim();
-        if (!line) return;
-        
-        // Check if this is a character name line (ends with colon)
-        if (line.endsWith(':')) {
-            if (currentChar) {
-                characters.push(currentChar);
-            }
-            currentChar = {
-                name: line.slice(0, -1).trim(),
-                tags: new Map()
-            };
-        } else if (currentChar && line.startsWith('- ')) {
-            // This is a tag line
-            const tagLine = line.substring(2).trim();
-            const colonIndex = tagLine.indexOf(':');
-            if (colonIndex > 0) {
-                const tagType = tagLine.substring(0, colonIndex).trim();
-                const tagValues = tagLine.substring(colonIndex + 1).trim().split(',').map(v => v.trim());
-                currentChar.tags.set(tagType, new Set(tagValues));
-            }
-        }
-    });
-    
-    // Don't forget the last character
-    if (currentChar) {
-        characters.push(currentChar);
-    }
-    
-    return characters;
+    return parseCharacterTagLines(content);
 }
 
 // Process <BunnyMoTags> content in messages (like <think> tag processing)
@@ -3880,77 +4246,28 @@ function restoreBunnyMoBlocks() {
 
 async function scanSelectedLorebooks(lorebookNames) {
     // Starting lorebook scan
-    scannedCharacters.clear();
-    tagPackEntries.clear();
+    lorebookScanCache.clear();
+    repoEntrySnapshots.clear();
     
-    const foundCharacters = [];
     let tagEntriesCount = 0;
     let characterReposScanned = 0;
     let tagLibrariesScanned = 0;
     
     for (const lorebookName of lorebookNames) {
         try {
-            const isCharacterRepo = characterRepoBooks.has(lorebookName);
-            
             const lorebook = await loadWorldInfo(lorebookName);
             
             if (!lorebook || !lorebook.entries) {
                 continue;
             }
             
-            if (isCharacterRepo) {
+            parseLorebookIntoCache(lorebookName, lorebook);
+            if (characterRepoBooks.has(lorebookName)) {
                 characterReposScanned++;
-                // Scan for characters with names
-                Object.values(lorebook.entries).forEach(entry => {
-                    const characters = extractBunnyMoCharacters(entry, lorebookName);
-                    characters.forEach(char => {
-                        if (!scannedCharacters.has(char.name)) {
-                            scannedCharacters.set(char.name, char);
-                            foundCharacters.push(char.name);
-                        }
-                    });
-                });
+                repoEntrySnapshots.set(lorebookName, snapshotRepoEntries(lorebook, lorebookName));
             } else {
                 tagLibrariesScanned++;
-                // Store tag pack entries for injection
-                Object.values(lorebook.entries).forEach(entry => {
-                    const content = entry.content || '';
-                    const keys = entry.key || [];
-                    const comment = entry.comment || '';
-                    
-                    // Store by all keywords that could match character tags
-                    keys.forEach(key => {
-                        const normalizedKey = key.toLowerCase().trim();
-                        if (normalizedKey) {
-                            tagPackEntries.set(normalizedKey, {
-                                content: content,
-                                keys: keys,
-                                comment: comment,
-                                source: lorebookName
-                            });
-                        }
-                    });
-                    
-                    // Also try to extract tag names from comment
-                    if (comment) {
-                        const tagMatches = comment.match(/<([^>]+)>/g);
-                        if (tagMatches) {
-                            tagMatches.forEach(tag => {
-                                const cleanTag = tag.replace(/[<>]/g, '').toLowerCase().trim();
-                                if (cleanTag && !tagPackEntries.has(cleanTag)) {
-                                    tagPackEntries.set(cleanTag, {
-                                        content: content,
-                                        keys: keys,
-                                        comment: comment,
-                                        source: lorebookName
-                                    });
-                                }
-                            });
-                        }
-                    }
-                    
-                    tagEntriesCount++;
-                });
+                tagEntriesCount += lorebookScanCache.get(lorebookName).entries.length;
             }
             
         } catch (error) {
@@ -3958,69 +4275,394 @@ async function scanSelectedLorebooks(lorebookNames) {
         }
     }
     
+    rebuildScanMaps();
+    const foundCharacters = Array.from(scannedCharacters.keys());
+    
     logSeq(`Scan complete: ${foundCharacters.length} characters, ${tagEntriesCount} tag entries`);
+    onScanMapsChanged();
     
-    return {
+    const results = {
         characters: foundCharacters,
         characterRepos: characterReposScanned,
         tagLibraries: tagLibrariesScanned,
         tagEntries: tagEntriesCount
     };
+    emitBunnyMoEvent(BUNNYMO_EVENTS.SCAN_COMPLETED, { ...results, characters: [...foundCharacters] });
+    return results;
 }
 
-function extractBunnyMoCharacters(entry, lorebookName) {
-    const characters = [];
-    const content = entry.content || '';
+// Parse one lorebook into the scan cache: its characters if it is a character repo, its tag entries otherwise
+function parseLorebookIntoCache(lorebookName, lorebook) {
+    if (characterRepoBooks.has(lorebookName)) {
+        // Scan for characters with names
+        const characters = [];
+        Object.values(lorebook.entries).forEach(entry => {
+            characters.push(...extractBunnyMoCharacters(entry, lorebookName));
+        });
+        lorebookScanCache.set(lorebookName, { type: 'repo', characters });
+        return;
+    }
+    
+    // Store tag pack entries for injection, by all keywords that could match character tags
+    // and by the <TAG> names in the entry comment
+    const entries = Object.values(lorebook.entries).map(entry => {
+        const keys = entry.key || [];
+        const comment = entry.comment || '';
+        return {
+            record: {
+                content: entry.content || '',
+                keys: keys,
+                comment: comment,
+                source: lorebookName
+            },
+            keys: keys.map(key => key.toLowerCase().trim()).filter(Boolean),
+            commentTags: (comment.match(/<([^>]+)>/g) || []).map(tag => tag.replace(/[<>]/g, '').toLowerCase().trim()).filter(Boolean)
+        };
+    });
+    lorebookScanCache.set(lorebookName, { type: 'library', entries });
+}
+
+// Rebuild scannedCharacters and tagPackEntries from the scan cache. Characters found in several
+// repos are merged by the repo merge order and per-category policies; for tag libraries keywords
+// overwrite earlier entries and comment tags never do.
+function rebuildScanMaps() {
+    const settings = extension_settings[extensionName] || defaultSettings;
+    scannedCharacters.clear();
+    tagPackEntries.clear();
+    
+    const merged = mergeScannedRepos(settings.importedCharacters);
+    merged.characters.forEach((char, name) => scannedCharacters.set(name, char));
+    repoMergeConflicts = merged.conflicts;
+    if (repoMergeConflicts.length > 0) {
+        logSeq(`⚖️ ${repoMergeConflicts.length} tag categories differ between repos - see the conflict report`);
+    }
+    
+    lorebookScanCache.forEach(cached => {
+        if (cached.type === 'repo') return;
+        
+        cached.entries.forEach(({ record, keys, commentTags }) => {
+            keys.forEach(key => tagPackEntries.set(key, record));
+            commentTags.forEach(tag => {
+                if (!tagPackEntries.has(tag)) {
+                    tagPackEntries.set(tag, record);
+                }
+            });
+        });
+    });
+}
+
+// Merge the cached repos plus the imported characters (as one more repo) with the current merge settings
+function mergeScannedRepos(importedCharacters) {
+    const settings = extension_settings[extensionName] || defaultSettings;
+    const charactersByRepo = new Map();
+    lorebookScanCache.forEach((cached, lorebookName) => {
+        if (cached.type === 'repo') {
+            charactersByRepo.set(lorebookName, cached.characters);
+        }
+    });
+    if (importedCharacters?.length > 0) {
+        charactersByRepo.set(IMPORTED_REPO, importedCharacters);
+    }
+    return mergeRepoCharacters(charactersByRepo, {
+        priority: settings.repoPriority || defaultSettings.repoPriority,
+        policies: settings.mergePolicies || defaultSettings.mergePolicies,
+        defaultPolicy: settings.defaultMergePolicy ?? defaultSettings.defaultMergePolicy
+    });
+}
+
+// Keep everything derived from the scan maps in step with them
+function onScanMapsChanged() {
+    renderDefinitionCategoryToggles();
+    renderRepoMergeSettings();
+    registerCharacterMacros(scannedCharacters);
+}
+
+/**
+ * Re-parse a single saved lorebook and update the scan maps without reloading the others.
+ * @param {string} lorebookName - Lorebook that was saved
+ * @param {object} lorebook - Its saved data ({ entries })
+ * @returns {{entryChanges: object[], changedCharacters: string[]}|null} null when the lorebook was not part of the last scan
+ */
+function rescanLorebook(lorebookName, lorebook) {
+    if (!lorebookScanCache.has(lorebookName) || !lorebook?.entries) {
+        return null;
+    }
+    
+    const entryChanges = characterRepoBooks.has(lorebookName) ? diffRepoEntries(lorebookName, lorebook) : [];
+    const before = new Map(scannedCharacters);
+    
+    parseLorebookIntoCache(lorebookName, lorebook);
+    rebuildScanMaps();
+    
+    const changedCharacters = findChangedCharacters(before);
+    
+    onScanMapsChanged();
+    trackGrowth(changedCharacters, GROWTH_SOURCES.repo);
+    if (changedCharacters.length > 0) {
+        refreshCardsForCharacters(changedCharacters);
+    }
+    return { entryChanges, changedCharacters };
+}
+
+/**
+ * Re-read one lorebook from disk and update the scan maps. A selected lorebook that was not part of
+ * the last scan joins it, so a freshly written repo entry is picked up without a full scan.
+ * @param {string} lorebookName - Lorebook to read
+ * @returns {Promise<{entryChanges: object[], changedCharacters: string[]}|null>} null when BunnyMoTags does not scan that lorebook
+ */
+async function scanLorebookNow(lorebookName) {
+    if (!joinScanCache(lorebookName)) {
+        return null;
+    }
+    const lorebook = await loadWorldInfo(lorebookName);
+    if (!lorebook?.entries) {
+        return null;
+    }
+    return rescanLorebook(lorebookName, lorebook);
+}
+
+// Give a selected or repo lorebook that was not part of the last scan a place in the scan cache.
+// Returns false when BunnyMoTags does not scan that lorebook.
+function joinScanCache(lorebookName) {
+    if (lorebookScanCache.has(lorebookName)) {
+        return true;
+    }
+    if (!selectedLorebooks.has(lorebookName) && !characterRepoBooks.has(lorebookName)) {
+        return false;
+    }
+    lorebookScanCache.set(lorebookName, characterRepoBooks.has(lorebookName) ? { type: 'repo', characters: [] } : { type: 'library', entries: [] });
+    return true;
+}
+
+// Record a change to some characters' effective tags as growth, for the ones this chat already tracks.
+// Call it right after the change so the next change from another source is not credited to this one.
+function trackGrowth(names, source) {
+    names
+        .map(name => Array.from(scannedCharacters.keys()).find(key => key.toLowerCase() === name.toLowerCase()))
+        .filter(name => name && getGrowthHistory(name))
+        .forEach(name => trackEffectiveTags(applyChatOverrides(scannedCharacters.get(name)), source));
+}
+
+// Characters added, removed or with different tags/aliases than in an earlier copy of scannedCharacters
+function findChangedCharacters(before) {
+    const describe = (char) => char ? JSON.stringify([char.tags, char.aliases, char.uid]) : null;
+    const names = new Set([...before.keys(), ...scannedCharacters.keys()]);
+    return Array.from(names).filter(name => describe(before.get(name)) !== describe(scannedCharacters.get(name)));
+}
+
+// Redraw the cards on screen that show any of the given characters with their current scanned data
+function refreshCardsForCharacters(names) {
+    const changed = new Set(names.map(name => name.toLowerCase()));
+    
+    attachedCards.forEach((attachment, messageId) => {
+        const characters = attachment.data?.characters || [];
+        if (!characters.some(char => changed.has(char.name?.toLowerCase()))) return;
+        
+        const data = {
+            ...attachment.data,
+            characters: characters.map(char => changed.has(char.name?.toLowerCase()) && scannedCharacters.has(char.name)
+                ? applyChatOverrides(scannedCharacters.get(char.name))
+                : char)
+        };
+        attachExternalCardsToMessage(messageId, data);
+        logSeq(`🔄 Refreshed cards for message ${messageId}`);
+    });
+}
+
+// Remember each repo entry's content and the characters it describes, to tell later which entries changed
+function snapshotRepoEntries(lorebook, lorebookName) {
+    const snapshot = new Map();
+    Object.values(lorebook?.entries || {}).forEach(entry => {
+        snapshot.set(entry.uid, {
+            content: entry.content || '',
+            characters: extractBunnyMoCharacters(entry, lorebookName).map(character => character.name)
+        });
+    });
+    return snapshot;
+}
+
+// Compare a saved repo lorebook with its last snapshot and return the entries that were added, updated or removed
+function diffRepoEntries(lorebookName, lorebook) {
+    const previous = repoEntrySnapshots.get(lorebookName) || new Map();
+    const current = snapshotRepoEntries(lorebook, lorebookName);
+    const changes = [];
     
-    // Look for BunnymoTags blocks
-    const bunnyMoMatches = content.match(/<BunnymoTags>(.*?)<\/BunnymoTags>/gs);
+    current.forEach((entry, uid) => {
+        const before = previous.get(uid);
+        if (!before) {
+            changes.push({ world: lorebookName, uid, change: 'added', characters: entry.characters });
+        } else if (before.content !== entry.content) {
+            changes.push({ world: lorebookName, uid, change: 'updated', characters: [...new Set([...before.characters, ...entry.characters])] });
+        }
+    });
+    previous.forEach((entry, uid) => {
+        if (!current.has(uid)) {
+            changes.push({ world: lorebookName, uid, change: 'removed', characters: entry.characters });
+        }
+    });
+    
+    repoEntrySnapshots.set(lorebookName, current);
+    return changes;
+}
+
+// Merge the cached repos again after the merge order or a policy changed (no lorebook reload needed)
+function remergeRepos() {
+    const before = new Map(scannedCharacters);
+    rebuildScanMaps();
+    onScanMapsChanged();
+    const changed = findChangedCharacters(before);
+    trackGrowth(changed, GROWTH_SOURCES.repo);
+    if (changed.length > 0) {
+        refreshCardsForCharacters(changed);
+    }
+}
+
+// Drop every character that came from an imported character database
+function forgetImportedCharacters() {
+    const count = extension_settings[extensionName].importedCharacters?.length || 0;
+    if (!confirm(`Forget ${count} imported characters? Characters that are also in your repos stay.`)) return;
+    extension_settings[extensionName].importedCharacters = [];
+    saveSettingsDebounced();
+    logSeq(`📦 Forgot ${count} imported characters`);
+    remergeRepos();
+}
+
+// Repo merge order (with move up/down buttons) and one merge policy select per scanned tag category
+function renderRepoMergeSettings() {
+    const settings = extension_settings[extensionName] || {};
+    
+    const priorityList = $('#bmt-repo-priority');
+    if (priorityList.length > 0) {
+        const repoNames = Array.from(characterRepoBooks);
+        if (settings.importedCharacters?.length > 0) {
+            repoNames.push(IMPORTED_REPO);
+        }
+        const repos = orderRepos(repoNames, settings.repoPriority || []);
+        priorityList.empty();
+        if (repos.length === 0) {
+            priorityList.append('<span class="bmt-help-text">Mark lorebooks as Character Repos (👤) to order them.</span>');
+        }
+        repos.forEach((repo, index) => {
+            const move = (offset) => {
+                const order = [...repos];
+                order.splice(index, 1);
+                order.splice(index + offset, 0, repo);
+                extension_settings[extensionName].repoPriority = order;
+                saveSettingsDebounced();
+                logSeq(`⚖️ Repo merge order: ${order.join(' → ')}`);
+                remergeRepos();
+                renderRepoMergeSettings();
+            };
+            const row = $('<div style="display: flex; align-items: center; gap: 6px;">')
+                .append($('<span style="min-width: 1.5em; opacity: 0.7;">').text(`${index + 1}.`))
+                .append($('<span style="flex: 1;">').text(repo === IMPORTED_REPO ? `${repo} (${settings.importedCharacters.length} characters)` : repo))
+                .append($('<button class="bmt-secondary-btn" title="Merge earlier">▲</button>').prop('disabled', index === 0).on('click', () => move(-1)))
+                .append($('<button class="bmt-secondary-btn" title="Merge later">▼</button>').prop('disabled', index === repos.length - 1).on('click', () => move(1)));
+            if (repo === IMPORTED_REPO) {
+                row.append($('<button class="bmt-secondary-btn" title="Forget the imported characters">✕</button>').on('click', forgetImportedCharacters));
+            }
+            priorityList.append(row);
+        });
+    }
+    
+    $('#bmt-default-merge-policy').val(settings.defaultMergePolicy ?? defaultSettings.defaultMergePolicy);
+    
+    const policyList = $('#bmt-merge-policies');
+    if (policyList.length > 0) {
+        const policies = settings.mergePolicies || {};
+        policyList.empty();
+        listTagCategories(scannedCharacters.values()).forEach(category => {
+            const select = $('<select class="bmt-select" style="width: auto;">')
+                .append($('<option>').val('').text('default'))
+                .append(MERGE_POLICIES.map(policy => $('<option>').val(policy).text(policy)))
+                .val(policies[category] || '')
+                .on('change', function() {
+                    const updated = { ...(extension_settings[extensionName].mergePolicies || {}) };
+                    if (this.value) {
+                        updated[category] = this.value;
+                    } else {
+                        delete updated[category];
+                    }
+                    extension_settings[extensionName].mergePolicies = updated;
+                    saveSettingsDebounced();
+                    logSeq(`⚖️ ${category} merge policy: ${this.value || 'default'}`);
+                    remergeRepos();
+                });
+            policyList.append($('<label style="display: flex; align-items: center; gap: 4px;">').append($('<span>').text(category), select));
+        });
+    }
+}
+
+// Which repo supplied which tag for every category the repos disagree on
+function showConflictReport() {
+    const escape = (text) => $('<div>').text(text).html();
+    let html = '<h3>⚖️ Repo Conflict Report</h3>';
     
-    if (bunnyMoMatches) {
-        bunnyMoMatches.forEach(match => {
-            const tagContent = match.replace(/<\/?BunnymoTags>/g, '');
-            const character = parseBunnyMoTagBlock(tagContent, lorebookName);
-            
-            if (character) {
-                characters.push(character);
-            }
+    if (repoMergeConflicts.length === 0) {
+        html += '<p>No conflicts: every character found in several repos has the same tags in each of them (or no character is in more than one repo). Scan your lorebooks to refresh.</p>';
+    } else {
+        const byCharacter = new Map();
+        repoMergeConflicts.forEach(conflict => {
+            if (!byCharacter.has(conflict.name)) byCharacter.set(conflict.name, []);
+            byCharacter.get(conflict.name).push(conflict);
+        });
+        
+        byCharacter.forEach((conflicts, name) => {
+            html += `<h4 style="margin: 12px 0 4px;">${escape(name)}</h4>`;
+            html += '<table style="width: 100%; border-collapse: collapse; text-align: left;">';
+            html += '<tr><th>Category</th><th>Policy</th><th>Repo</th><th>Tags</th></tr>';
+            conflicts.forEach(conflict => {
+                const sources = scannedCharacters.get(name)?.tagSources?.[conflict.category] || {};
+                conflict.contributions.forEach((contribution, index) => {
+                    const tags = contribution.values.map(value => sources[value] === contribution.repo
+                        ? `<b>${escape(value)}</b>`
+                        : `<span style="opacity: 0.5; text-decoration: line-through;">${escape(value)}</span>`);
+                    html += '<tr style="border-top: 1px solid rgba(128, 128, 128, 0.3);">';
+                    html += index === 0 ? `<td rowspan="${conflict.contributions.length}">${escape(conflict.category)}</td><td rowspan="${conflict.contributions.length}">${conflict.policy}</td>` : '';
+                    html += `<td>${escape(contribution.repo)}</td><td>${tags.join(', ')}</td></tr>`;
+                });
+            });
+            html += '</table>';
         });
+        html += '<p class="bmt-help-text">Bold tags are the ones each repo supplied to the merged character; struck-out tags were left out by the policy.</p>';
     }
     
-    return characters;
+    const context = getContext();
+    context.callGenericPopup(html, context.POPUP_TYPE.TEXT, '', { wide: true, allowVerticalScrolling: true });
 }
 
-function parseBunnyMoTagBlock(tagContent, lorebookName) {
-    const tags = tagContent.split(',').map(t => t.trim());
-    let characterName = null;
-    const tagMap = new Map();
+// One switch per tag category seen in the scanned characters: unchecked categories get no definitions injected
+function renderDefinitionCategoryToggles() {
+    const container = $('#bmt-definition-categories');
+    if (container.length === 0) {
+        return;
+    }
     
-    tags.forEach(tag => {
-        const tagMatch = tag.match(/<([^:>]+):([^>]+)>/);
-        if (tagMatch) {
-            const [, tagType, tagValue] = tagMatch;
-            const cleanType = tagType.trim().toUpperCase();
-            const cleanValue = tagValue.trim().toUpperCase().replace(/_/g, ' ');
-            
-            if (cleanType === 'NAME') {
-                characterName = cleanValue.replace(/_/g, ' ');
-            } else {
-                if (!tagMap.has(cleanType)) {
-                    tagMap.set(cleanType, new Set());
-                }
-                tagMap.get(cleanType).add(cleanValue);
-            }
-        }
-    });
+    const settings = extension_settings[extensionName] || {};
+    const disabled = settings.disabledDefinitionCategories || [];
+    const categories = listTagCategories(scannedCharacters.values());
     
-    if (characterName && tagMap.size > 0) {
-        return {
-            name: characterName,
-            tags: tagMap,
-            source: lorebookName
-        };
+    container.empty();
+    if (categories.length === 0) {
+        container.append('<span class="bmt-help-text">Scan your lorebooks to choose categories.</span>');
+        return;
     }
     
-    return null;
+    categories.forEach(category => {
+        const checkbox = $('<input type="checkbox">')
+            .prop('checked', !disabled.includes(category))
+            .prop('disabled', settings.injectTagDefinitions === false)
+            .on('change', function() {
+                const current = (extension_settings[extensionName].disabledDefinitionCategories || []).filter(name => name !== category);
+                if (!this.checked) {
+                    current.push(category);
+                }
+                extension_settings[extensionName].disabledDefinitionCategories = current;
+                saveSettingsDebounced();
+                logSeq(`📖 ${category} definitions ${this.checked ? 'enabled' : 'disabled'}`);
+            });
+        container.append($('<label style="display: flex; align-items: center; gap: 4px; cursor: pointer;">').append(checkbox, $('<span>').text(category)));
+    });
 }
 
 function updateLorebookList() {
@@ -4104,6 +4746,7 @@ function updateLorebookList() {
         }
         
         saveSettings();
+        renderRepoMergeSettings();
     });
     
     // Add search functionality
@@ -4122,6 +4765,8 @@ function updateLorebookList() {
 }
 
 jQuery(async () => {
+    let pendingDatabaseImport = null; // Parsed character database waiting for the import confirmation
+    
     try {
         // Load saved settings first
         loadSettings();
@@ -4146,12 +4791,23 @@ jQuery(async () => {
             const currentSettings = extension_settings[extensionName] || defaultSettings;
             loadSettingsIntoUI(currentSettings);
             
+            // Imported characters need no lorebook scan
+            if (currentSettings.importedCharacters?.length > 0) {
+                remergeRepos();
+            }
+            
             // Set up all event handlers
             setupSettingsEventHandlers();
             
             // Set up automatic character detection
             setupAutoCharacterDetection();
             
+            // STscript commands, prompt macros and the API for other extensions
+            registerBunnyMoSlashCommands();
+            registerBunnyMoMacros();
+            setupPublicApi();
+            setupIncrementalRescan();
+            
             // Update status display
             updateStatusDisplay();
         }
@@ -4184,6 +4840,20 @@ jQuery(async () => {
             
             // Display Settings
             $('#bmt-sensitivity').val(settings.characterDetectionSensitivity ?? defaultSettings.characterDetectionSensitivity);
+            $('#bmt-case-sensitive-names').prop('checked', settings.caseSensitiveNames ?? defaultSettings.caseSensitiveNames);
+            const detectionWindows = { ...defaultSettings.detectionWindows, ...settings.detectionWindows };
+            $('#bmt-window-low').val(detectionWindows.low);
+            $('#bmt-window-medium').val(detectionWindows.medium);
+            $('#bmt-window-high').val(detectionWindows.high);
+            $('#bmt-carry-over-window').val(settings.detectionCarryOverWindow ?? defaultSettings.detectionCarryOverWindow);
+            $('#bmt-presence-enabled').prop('checked', settings.presenceEnabled ?? defaultSettings.presenceEnabled);
+            $('#bmt-group-members-present').prop('checked', settings.groupMembersPresent ?? defaultSettings.groupMembersPresent);
+            $('#bmt-group-speaker-focus').prop('checked', settings.groupSpeakerFocus ?? defaultSettings.groupSpeakerFocus);
+            $('#bmt-presence-mention-boost').val(settings.presenceMentionBoost ?? defaultSettings.presenceMentionBoost);
+            $('#bmt-presence-speaker-boost').val(settings.presenceSpeakerBoost ?? defaultSettings.presenceSpeakerBoost);
+            $('#bmt-presence-decay').val(settings.presenceDecay ?? defaultSettings.presenceDecay);
+            $('#bmt-presence-threshold').val(settings.presenceThreshold ?? defaultSettings.presenceThreshold);
+            $('#bmt-presence-max').val(settings.presenceMax ?? defaultSettings.presenceMax);
             $('#bmt-max-chars').val(settings.maxCharactersShown ?? defaultSettings.maxCharactersShown);
             $('#bmt-auto-hide').prop('checked', settings.autoHideEmpty ?? defaultSettings.autoHideEmpty);
             
@@ -4193,6 +4863,11 @@ jQuery(async () => {
             $('#bmt-ai-max-characters').val(settings.aiMaxCharacters ?? defaultSettings.aiMaxCharacters);
             $('#bmt-ai-max-characters-value').text(settings.aiMaxCharacters ?? defaultSettings.aiMaxCharacters);
             $('#bmt-ai-priority-tags').val((settings.aiPriorityTags || defaultSettings.aiPriorityTags).join(','));
+            $('#bmt-ai-token-budget').val(settings.aiTokenBudget ?? defaultSettings.aiTokenBudget);
+            refreshSerializerSelects(settings);
+            $('#bmt-inject-tag-definitions').prop('checked', settings.injectTagDefinitions ?? defaultSettings.injectTagDefinitions);
+            renderDefinitionCategoryToggles();
+            renderRepoMergeSettings();
             
             // Update UI states based on toggles
             updateUIStates();
@@ -4206,6 +4881,39 @@ jQuery(async () => {
             
             // Lorebook Management
             $('#bmt-scan-btn').off('click').on('click', handleLorebookScan);
+            $('#bmt-conflict-report-btn').off('click').on('click', showConflictReport);
+            
+            // Character database export/import
+            $('#bmt-export-database').off('click').on('click', exportCharacterDatabase);
+            $('#bmt-import-database').off('click').on('click', () => {
+                pendingDatabaseImport = null;
+                $('#bmt-database-import-file').val('');
+                $('#bmt-database-import-data').val('');
+                $('#bmt-database-import-preview').empty();
+                $('#bmt-confirm-database-import').prop('disabled', true);
+                $('#bmt-database-import-modal').fadeIn(200);
+            });
+            $('#bmt-close-database-import, #bmt-cancel-database-import').off('click').on('click', () => {
+                $('#bmt-database-import-modal').fadeOut(200);
+            });
+            $('#bmt-database-import-file').off('change').on('change', async function() {
+                const file = this.files?.[0];
+                if (!file) return;
+                $('#bmt-database-import-data').val(await file.text());
+                previewDatabaseImport();
+            });
+            $('#bmt-database-import-data').off('input').on('input', () => {
+                // The preview no longer matches the pasted text
+                pendingDatabaseImport = null;
+                $('#bmt-confirm-database-import').prop('disabled', true);
+            });
+            $('#bmt-preview-database-import').off('click').on('click', previewDatabaseImport);
+            $('#bmt-confirm-database-import').off('click').on('click', applyDatabaseImport);
+            $('#bmt-default-merge-policy').off('change').on('change', function() {
+                updateSetting('defaultMergePolicy', this.value);
+                logSeq(`⚖️ Default merge policy: ${this.value}`);
+                remergeRepos();
+            });
             $('#bmt-test-display').off('click').on('click', () => {
                 logSeq('🧪 Test display clicked');
                 showTestCharacterInsights();
@@ -4453,6 +5161,58 @@ jQuery(async () => {
                 logSeq(`🔍 Detection sensitivity set to: ${this.value}`);
             });
             
+            $('#bmt-window-low, #bmt-window-medium, #bmt-window-high').off('input').on('input', function() {
+                const mode = this.id.replace('bmt-window-', '');
+                const windowSize = parseInt(this.value);
+                if (!(windowSize > 0)) return;
+                const settings = extension_settings[extensionName] || {};
+                updateSetting('detectionWindows', { ...defaultSettings.detectionWindows, ...settings.detectionWindows, [mode]: windowSize });
+                logSeq(`🔍 ${mode} sensitivity window set to: ${windowSize} messages`);
+            });
+            
+            $('#bmt-carry-over-window').off('input').on('input', function() {
+                const windowSize = parseInt(this.value);
+                if (!(windowSize > 0)) return;
+                updateSetting('detectionCarryOverWindow', windowSize);
+                logSeq(`🔍 Carry-over window set to: ${windowSize} messages`);
+            });
+            
+            $('#bmt-group-members-present').off('change').on('change', function() {
+                updateSetting('groupMembersPresent', this.checked);
+                logSeq(`👥 Group members count as present: ${this.checked}`);
+            });
+            
+            $('#bmt-group-speaker-focus').off('change').on('change', function() {
+                updateSetting('groupSpeakerFocus', this.checked);
+                logSeq(`👥 Group speaker focus: ${this.checked}`);
+            });
+            
+            $('#bmt-presence-enabled').off('change').on('change', function() {
+                updateSetting('presenceEnabled', this.checked);
+                logSeq(`🫧 Presence tracking set to: ${this.checked}`);
+            });
+            
+            const presenceInputs = {
+                '#bmt-presence-mention-boost': 'presenceMentionBoost',
+                '#bmt-presence-speaker-boost': 'presenceSpeakerBoost',
+                '#bmt-presence-decay': 'presenceDecay',
+                '#bmt-presence-threshold': 'presenceThreshold',
+                '#bmt-presence-max': 'presenceMax'
+            };
+            Object.entries(presenceInputs).forEach(([selector, settingKey]) => {
+                $(selector).off('input').on('input', function() {
+                    const value = parseFloat(this.value);
+                    if (!(value >= 0)) return;
+                    updateSetting(settingKey, value);
+                    logSeq(`🫧 ${settingKey} set to: ${value}`);
+                });
+            });
+            
+            $('#bmt-case-sensitive-names').off('change').on('change', function() {
+                updateSetting('caseSensitiveNames', this.checked);
+                logSeq(`🔠 Case-sensitive name matching set to: ${this.checked}`);
+            });
+            
             $('#bmt-max-chars').off('input').on('input', function() {
                 updateSetting('maxCharactersShown', parseInt(this.value));
                 logSeq(`📊 Max characters set to: ${this.value}`);
@@ -4489,6 +5249,70 @@ jQuery(async () => {
                 updateSetting('aiPriorityTags', tags);
                 logSeq(`🏷️ Priority tags set to: ${tags.join(', ')}`);
             });
+            
+            $('#bmt-ai-token-budget').off('input').on('input', function() {
+                const value = Math.max(0, parseInt(this.value) || 0);
+                updateSetting('aiTokenBudget', value);
+                logSeq(`🪙 AI token budget set to: ${value === 0 ? 'unlimited' : value}`);
+            });
+            
+            $('#bmt-inject-tag-definitions').off('change').on('change', function() {
+                updateSetting('injectTagDefinitions', this.checked);
+                $('#bmt-definition-categories input').prop('disabled', !this.checked);
+                logSeq(`📖 Tag definition injection ${this.checked ? 'enabled' : 'disabled'}`);
+            });
+            
+            $('#bmt-injection-serializer').off('change').on('change', function() {
+                updateSetting('injectionSerializer', this.value);
+                logSeq(`🧾 Injection format set to: ${getSerializer(this.value).label}`);
+            });
+            
+            $('#bmt-profile-serializer').off('change').on('change', function() {
+                const profile = getCurrentConnectionProfile();
+                if (!profile) return;
+                const serializerByProfile = { ...(extension_settings[extensionName].serializerByProfile || {}) };
+                if (this.value) {
+                    serializerByProfile[profile.id] = this.value;
+                } else {
+                    delete serializerByProfile[profile.id];
+                }
+                updateSetting('serializerByProfile', serializerByProfile);
+                logSeq(`🧾 Injection format for profile "${profile.name}" set to: ${this.value || 'default'}`);
+            });
+            
+            $('#bmt-chat-serializer').off('change').on('change', function() {
+                setChatSerializerId(this.value || null);
+                logSeq(`🧾 Injection format for this chat set to: ${this.value || 'default'}`);
+            });
+            
+            // The chat and profile choices follow the open chat and selected connection profile
+            eventSource.on(event_types.CHAT_CHANGED, () => refreshSerializerSelects(extension_settings[extensionName]));
+            if (event_types.CONNECTION_PROFILE_LOADED) {
+                eventSource.on(event_types.CONNECTION_PROFILE_LOADED, () => refreshSerializerSelects(extension_settings[extensionName]));
+            }
+        }
+        
+        // Fill the three injection format selects (global, connection profile, chat) and show the current choices
+        function refreshSerializerSelects(settings) {
+            const options = listSerializers().map(({ id, label }) => $('<option>').val(id).text(label));
+            const defaultOption = (text) => $('<option>').val('').text(text);
+            const profile = getCurrentConnectionProfile();
+            
+            const globalId = settings.injectionSerializer ?? defaultSettings.injectionSerializer;
+            $('#bmt-injection-serializer').empty().append(options.map(option => option.clone()))
+                .val(listSerializers().some(({ id }) => id === globalId) ? globalId : defaultSettings.injectionSerializer);
+            
+            $('#bmt-profile-serializer-name').text(profile ? `"${profile.name}"` : 'this connection profile');
+            $('#bmt-profile-serializer').empty()
+                .append(defaultOption(profile ? 'Use global format' : 'No connection profile selected'))
+                .append(options.map(option => option.clone()))
+                .val(profile ? settings.serializerByProfile?.[profile.id] || '' : '')
+                .prop('disabled', !profile);
+            
+            $('#bmt-chat-serializer').empty()
+                .append(defaultOption('Use profile / global format'))
+                .append(options.map(option => option.clone()))
+                .val(getChatSerializerId() || '');
         }
         
         function setupModalSystem() {
@@ -4592,6 +5416,113 @@ The following characters are active in this conversation. You MUST acknowledge a
 This character information takes PRIORITY over other context. Ensure your response is consistent with these established character traits and behaviors.`;
         }
         
+        // Parse the pasted or loaded character database and show what importing it would change
+        function previewDatabaseImport() {
+            pendingDatabaseImport = null;
+            $('#bmt-confirm-database-import').prop('disabled', true);
+            const preview = $('#bmt-database-import-preview').empty();
+            
+            let bundle;
+            try {
+                bundle = parseCharacterDatabase($('#bmt-database-import-data').val());
+            } catch (error) {
+                preview.append($('<p style="color: #e74c3c;">').text(`❌ ${error.message}`));
+                return;
+            }
+            
+            const settings = extension_settings[extensionName];
+            const merged = mergeScannedRepos(mergeImportedCharacters(settings.importedCharacters, bundle)).characters;
+            const result = previewCharacterDatabase(bundle, scannedCharacters, merged, settings);
+            preview.html(renderDatabasePreview(bundle, result));
+            $('#bmt-database-import-characters').prop('checked', bundle.characters.length > 0);
+            $('#bmt-database-import-chat').prop('checked', result.chat.sameChat);
+            $('#bmt-database-import-settings').prop('checked', false);
+            
+            pendingDatabaseImport = bundle;
+            $('#bmt-confirm-database-import').prop('disabled', false);
+        }
+        
+        function renderDatabasePreview(bundle, result) {
+            const names = (list) => list.length > 0 ? list.map(escapeHtml).join(', ') : '<i>none</i>';
+            const exported = bundle.exportedAt ? new Date(bundle.exportedAt).toLocaleString() : 'unknown date';
+            let html = `<p><b>Character database v${bundle.version}</b>, exported ${escapeHtml(exported)}: ${bundle.characters.length} characters</p>`;
+            
+            const { added, changed, unchanged } = result.characters;
+            html += '<h4 style="margin: 10px 0 4px;">🎭 Characters</h4>';
+            html += `<div>New (${added.length}): ${names(added)}</div>`;
+            html += `<div>Changed (${changed.length}):</div>`;
+            changed.forEach(({ name, categories }) => {
+                const diffs = categories.map(({ category, before, after }) =>
+                    `${escapeHtml(category)}: <span style="opacity: 0.6; text-decoration: line-through;">${escapeHtml(before.join(', ') || '—')}</span> → <b>${escapeHtml(after.join(', ') || '—')}</b>`);
+                html += `<div style="margin-left: 12px;">${escapeHtml(name)} - ${diffs.join('; ')}</div>`;
+            });
+            html += `<div>Unchanged: ${unchanged}</div>`;
+            html += `<div class="bmt-help-text">Imported characters merge as the "${escapeHtml(IMPORTED_REPO)}" repo. Move it in Repo Merge Order to decide whether your repos or the import win.</div>`;
+            
+            const chatData = result.chat;
+            html += '<h4 style="margin: 10px 0 4px;">💬 Chat state</h4>';
+            if (!chatData.sameChat) {
+                html += `<div class="bmt-help-text">Exported from ${bundle.chat.chatId ? `chat "${escapeHtml(bundle.chat.chatId)}"` : 'an unknown chat'}, not this one.</div>`;
+            }
+            html += `<div>Overrides: ${names(chatData.overrides.map(({ name, categories }) => `${name} (${categories.join(', ')})`))}</div>`;
+            html += `<div>New pins: ${names(chatData.pinned)}</div>`;
+            html += `<div>New exclusions: ${names(chatData.excluded)}</div>`;
+            html += `<div>Growth history: ${names(chatData.growth)}</div>`;
+            if (chatData.growthSkipped.length > 0) {
+                html += `<div class="bmt-help-text">Kept this chat's own growth history for ${names(chatData.growthSkipped)}.</div>`;
+            }
+            
+            html += '<h4 style="margin: 10px 0 4px;">⚙️ Settings</h4>';
+            html += `<div>${result.settings.length > 0 ? `Differs: ${names(result.settings)}` : 'Same as yours'}</div>`;
+            
+            if (result.skipped.length > 0) {
+                html += '<h4 style="margin: 10px 0 4px;">⚠️ Skipped (malformed)</h4>';
+                html += `<div>${names(result.skipped)}</div>`;
+            }
+            return html;
+        }
+        
+        function applyDatabaseImport() {
+            const bundle = pendingDatabaseImport;
+            if (!bundle) return;
+            
+            const imported = [];
+            if ($('#bmt-database-import-settings').prop('checked')) {
+                Object.assign(extension_settings[extensionName], structuredClone(bundle.settings));
+                loadSettings();
+                loadSettingsIntoUI(extension_settings[extensionName]);
+                updateLorebookList();
+                imported.push('settings');
+            }
+            if ($('#bmt-database-import-characters').prop('checked')) {
+                extension_settings[extensionName].importedCharacters = mergeImportedCharacters(extension_settings[extensionName].importedCharacters, bundle);
+                imported.push(`${bundle.characters.length} characters`);
+            }
+            const importChat = $('#bmt-database-import-chat').prop('checked');
+            if (importChat) {
+                imported.push('chat state');
+            }
+            if (imported.length === 0) {
+                toastr.warning('Nothing selected to import');
+                return;
+            }
+            
+            saveSettingsDebounced();
+            // Repo-side changes are merged (and recorded as repo growth) before the overrides, so each is credited to its source
+            remergeRepos();
+            if (importChat) {
+                importChatState(bundle);
+                const overridden = Object.keys(bundle.chat.overrides);
+                trackGrowth(overridden, GROWTH_SOURCES.override);
+                refreshCardsForCharacters(overridden);
+            }
+            
+            pendingDatabaseImport = null;
+            $('#bmt-database-import-modal').fadeOut(200);
+            logSeq(`📦 Imported character database: ${imported.join(', ')}`);
+            toastr.success(`Imported ${imported.join(', ')}`);
+        }
+        
         function updateSetting(key, value) {
             if (!extension_settings[extensionName]) {
                 extension_settings[extensionName] = {};
@@ -4734,6 +5665,72 @@ This character information takes PRIORITY over other context. Ensure your respon
             statusElement.html(html);
         }
         
+        // Detect which scanned characters the current chat is about (characterDetectionSensitivity decides how hard to look)
+        function detectChatCharacters() {
+            const settings = extension_settings[extensionName] || defaultSettings;
+            const mode = getDetectionMode(
+                settings.characterDetectionSensitivity ?? defaultSettings.characterDetectionSensitivity,
+                settings.detectionWindows ?? defaultSettings.detectionWindows
+            );
+            logSeq(`🔍 Detecting characters (${mode.name} sensitivity, last ${mode.window} messages)`);
+            
+            const activeCharacters = detectActiveCharacters(chat || [], scannedCharacters, {
+                sensitivity: mode.name,
+                windows: settings.detectionWindows ?? defaultSettings.detectionWindows,
+                carryOverWindow: settings.detectionCarryOverWindow ?? defaultSettings.detectionCarryOverWindow,
+                caseSensitive: settings.caseSensitiveNames ?? defaultSettings.caseSensitiveNames
+            });
+            
+            // Characters who are no longer named but still have presence stay active
+            refreshPresence().forEach(name => {
+                if (!activeCharacters.includes(name)) {
+                    activeCharacters.push(name);
+                    logSeq(`🫧 ${name} kept active by presence (${describePresence(name).score})`);
+                }
+            });
+            
+            // Group members with repo entries are in the scene whether named or not
+            getGroupPresentCharacters().forEach(name => {
+                if (!activeCharacters.includes(name)) {
+                    activeCharacters.push(name);
+                    logSeq(`👥 ${name} active as a group member`);
+                }
+            });
+            
+            // Per-chat pin/exclude lists have the final say
+            return applyCharacterLists(activeCharacters, name => scannedCharacters.has(name));
+        }
+        
+        // Group members (current group chat) that have a repo entry, by canonical name
+        function getGroupPresentCharacters() {
+            const settings = extension_settings[extensionName] || defaultSettings;
+            if (!(settings.groupMembersPresent ?? defaultSettings.groupMembersPresent) || !isGroupChat()) {
+                return [];
+            }
+            
+            const aliasIndex = buildAliasIndex(scannedCharacters);
+            return [...new Set(getGroupMemberNames().map(name => resolveCharacterName(name, aliasIndex)).filter(Boolean))];
+        }
+        
+        // Score any new chat messages for presence and return the characters still present
+        function refreshPresence() {
+            const settings = extension_settings[extensionName] || defaultSettings;
+            if (!(settings.presenceEnabled ?? defaultSettings.presenceEnabled) || scannedCharacters.size === 0) {
+                return [];
+            }
+            
+            const mode = getDetectionMode(
+                settings.characterDetectionSensitivity ?? defaultSettings.characterDetectionSensitivity,
+                settings.detectionWindows ?? defaultSettings.detectionWindows
+            );
+            updatePresence(chat || [], scannedCharacters, {
+                aliases: mode.aliases,
+                nameWords: mode.nameWords,
+                caseSensitive: settings.caseSensitiveNames ?? defaultSettings.caseSensitiveNames
+            });
+            return getPresentCharacters().filter(name => scannedCharacters.has(name));
+        }
+        
         async function injectCharacterTags() {
             if (!isEnabled()) {
                 Debug.system('Extension disabled - skipping character tag injection');
@@ -4774,86 +5771,19 @@ This character information takes PRIORITY over other context. Ensure your respon
             // Mark this message as processed
             lastProcessedMessage = currentMessage;
             
-            const recentMessages = chat ? chat.slice(-10) : [];
-            const activeCharacters = [];
-            
-            // Detect active characters from recent messages (skip BunnyMo system messages)
-            recentMessages.forEach(msg => {
-                // Skip BunnyMo system messages to avoid infinite loops
-                if (msg.name === 'BunnyMoTags') {
-                    return;
-                }
-                
-                // Check message sender
-                if (msg.name && scannedCharacters.has(msg.name)) {
-                    if (!activeCharacters.includes(msg.name)) {
-                        activeCharacters.push(msg.name);
-                    }
-                }
-                
-                // Check message content for character mentions  
-                if (msg.mes) {
-                    const messageText = msg.mes.toLowerCase();
-                    for (const charName of scannedCharacters.keys()) {
-                        const nameLower = charName.toLowerCase();
-                        
-                        // Split character name into words and check if any word appears in message
-                        const nameWords = nameLower.split(' ');
-                        let found = false;
-                        
-                        for (const word of nameWords) {
-                            if (word.length > 2 && messageText.includes(word)) { // Skip short words like "al", "ibn"
-                                found = true;
-                                break;
-                            }
-                        }
-                        
-                        if (found && !activeCharacters.includes(charName)) {
-                            activeCharacters.push(charName);
-                        }
-                    }
-                }
-            });
+            // Detect active characters from recent messages using the configured sensitivity mode
+            const activeCharacters = detectChatCharacters();
             
             if (activeCharacters.length === 0) {
                 return;
             }
             
-            // Build character data for injection
-            let characterData = '';
-            let tagPackData = '';
-            const relevantTags = new Set();
+            // Build character data for injection in the active serializer's format
+            const activeCharacterData = activeCharacters.map(name => applyChatOverrides(scannedCharacters.get(name))).filter(Boolean);
+            activateCharacters(activeCharacterData);
             
-            activeCharacters.forEach(charName => {
-                const charData = scannedCharacters.get(charName);
-                if (charData) {
-                    characterData += `${charName}:\n`;
-                    for (const [tagType, tagValues] of charData.tags) {
-                        const displayValues = Array.from(tagValues).join(', ');
-                        characterData += `- ${tagType}: ${displayValues}\n`;
-                        
-                        // Collect all tag values to find matching tag pack entries
-                        tagValues.forEach(tagValue => {
-                            const normalizedTag = tagValue.toLowerCase().trim();
-                            relevantTags.add(normalizedTag);
-                        });
-                    }
-                    characterData += '\n';
-                }
-            });
-            
-            // Add relevant tag pack entries
-            if (relevantTags.size > 0) {
-                relevantTags.forEach(tag => {
-                    const tagEntry = tagPackEntries.get(tag);
-                    if (tagEntry) {
-                        tagPackData += `\n[${tag.toUpperCase()} DEFINITION]\n${tagEntry.content}\n`;
-                    }
-                });
-            }
-            
-            // Combine character data and tag pack data
-            const fullCharacterData = characterData + tagPackData;
+            // Same block as the activated path: speaker focus, tag library definitions and the token budget
+            const fullCharacterData = await buildActivatedInjectionBlock({ characters: activeCharacterData }, settings);
             
             // Create mandatory injection text using template system
             let injectionText;
@@ -4887,6 +5817,14 @@ This character information takes PRIORITY over other context. Ensure your respon
                 // AGGRESSIVE HIGH-PRIORITY injection - AI MUST see this FIRST!
                 // User controls if injections persist via "Send BunnyMo blocks to AI context" setting
                 const ephemeral = true; // Always ephemeral for dynamic character detection
+                emitBunnyMoEvent(BUNNYMO_EVENTS.INJECTION_BUILT, {
+                    names: activeCharacterData.map(character => character.name),
+                    text: injectionText,
+                    block: fullCharacterData.trim(),
+                    format: getActiveSerializerId(),
+                    depth,
+                    role
+                });
                 const injectionCommand = `/inject id=bunnymo-mandatory position=chat ephemeral=${ephemeral} scan=true depth=${depth} role=${role} ${injectionText}`;
                 
                 try {
@@ -4900,7 +5838,7 @@ This character information takes PRIORITY over other context. Ensure your respon
                     
                     logSeq(`✅ Injection executed - should appear in chat completion context`);
                     logSeq(`📋 INJECTED DATA (depth=${depth}):`);
-                    logSeq(characterData.substring(0, 200) + '...');
+                    logSeq(fullCharacterData.substring(0, 200) + '...');
                     
                     // Verify the injection worked
                     if (!ephemeral) {
@@ -4911,7 +5849,7 @@ This character information takes PRIORITY over other context. Ensure your respon
                     
                     // AUTO-DISPLAY: Show users exactly what was FORCE-FED to the AI (DOM + PERSISTENCE)
                     setTimeout(() => {
-                        displayInjectedCharacterDataWithPersistence(characterData, activeCharacters);
+                        displayInjectedCharacterDataWithPersistence(fullCharacterData, activeCharacters);
                     }, 500); // Small delay to ensure message appears
                     
                 } catch (error) {
@@ -4924,9 +5862,21 @@ This character information takes PRIORITY over other context. Ensure your respon
         
         // NEW: Process activated lorebook entries to extract character data
         async function processActivatedLorebookEntries(entryList) {
+            // Characters still present from earlier mentions, group members and pinned characters
+            // are injected even when nothing new activated
+            const presentCharacters = new Map(); // name -> why they are still present
+            refreshPresence().forEach(name => presentCharacters.set(name, `🫧 presence ${describePresence(name).score}`));
+            getGroupPresentCharacters().forEach(name => {
+                if (!presentCharacters.has(name)) presentCharacters.set(name, '👥 group member');
+            });
+            const pinnedCharacters = getPinnedCharacters().filter(name => scannedCharacters.has(name));
+            
             if (!entryList || entryList.length === 0) {
-                logSeq('No lorebook entries activated');
-                return;
+                if (presentCharacters.size === 0 && pinnedCharacters.length === 0) {
+                    logSeq('No lorebook entries activated');
+                    return;
+                }
+                entryList = [];
             }
             
             
@@ -4947,8 +5897,7 @@ This character information takes PRIORITY over other context. Ensure your respon
                     logSeq(`    Full content: "${messageContent}"`);
                     
                     // Check if this message contains any scanned character names that might trigger lorebook
-                    const scannedCharacterNames = Array.from(scannedCharacters.keys());
-                    const foundNames = scannedCharacterNames.filter(name => messageContent.toLowerCase().includes(name.toLowerCase()));
+                    const foundNames = findMentionedCharacters(messageContent, scannedCharacters);
                     if (foundNames.length > 0) {
                         logSeq(`    🚨 CONTAINS CHARACTER NAMES: ${foundNames.join(', ')} - This might trigger lorebook!`);
                     }
@@ -5056,20 +6005,39 @@ This character information takes PRIORITY over other context. Ensure your respon
                 return false;
             });
             
-            if (characterEntries.length === 0) {
+            if (characterEntries.length === 0 && presentCharacters.size === 0 && pinnedCharacters.length === 0) {
                 logSeq('No character repository entries were activated');
                 return;
             }
             
             // Extract character data from activated entries
-            const characterData = [];
+            // One entry can describe several characters, and one character can be activated by several entries
+            const charactersByName = new Map();
             for (const entry of characterEntries) {
-                const character = extractCharacterDataFromEntry(entry);
-                if (character) {
-                    characterData.push(character);
+                for (const character of extractCharacterDataFromEntry(entry)) {
+                    const key = character.name.toLowerCase();
+                    if (!charactersByName.has(key)) {
+                        charactersByName.set(key, character);
+                    }
                 }
             }
             
+            // Keep injecting characters whose presence has not decayed yet, and group members
+            presentCharacters.forEach((reason, name) => {
+                if (!charactersByName.has(name.toLowerCase())) {
+                    charactersByName.set(name.toLowerCase(), scannedCharacters.get(name));
+                    logSeq(`${name} kept active (${reason})`);
+                }
+            });
+            
+            // Per-chat pin/exclude lists have the final say
+            const activatedNames = Array.from(charactersByName.values(), character => character.name);
+            // Scanned characters are already merged across repos, so they win over the single activated entry.
+            // This chat's tag overrides are layered on top before anything is injected or displayed.
+            const characterData = applyCharacterLists(activatedNames, name => scannedCharacters.has(name))
+                .map(name => applyChatOverrides(scannedCharacters.get(name) || charactersByName.get(name.toLowerCase())));
+            activatedNames.filter(name => isCharacterExcluded(name)).forEach(name => logSeq(`🚫 ${name} excluded for this chat`));
+            
             if (characterData.length > 0) {
                 logSeq(`🎴 Creating cards for ${characterData.length} activated characters`);
                 
@@ -5080,6 +6048,7 @@ This character information takes PRIORITY over other context. Ensure your respon
                 };
                 
                 // Send AI injection using the activated character data
+                activateCharacters(characterData);
                 await injectActivatedCharacterData(structuredData);
                 
                 // Create and display cards immediately
@@ -5088,45 +6057,96 @@ This character information takes PRIORITY over other context. Ensure your respon
             }
         }
         
-        // Extract character data from a single lorebook entry
+        // Extract every character described by a single lorebook entry (same extractor as the lorebook scan)
         function extractCharacterDataFromEntry(entry) {
-            if (!entry.content) return null;
+            if (!entry.content) return [];
             
-            const character = {
-                name: entry.comment || entry.key?.[0] || 'Unknown',
-                tags: {},
-                source: entry.world,
-                uid: entry.uid
-            };
+            const characters = extractBunnyMoCharacters(entry, entry.world);
+            characters.forEach(character => {
+                logSeq(`✅ Extracted character: ${character.name} with ${Object.keys(character.tags).length} tag categories`);
+            });
+            return characters;
+        }
+        
+        // Tag library definitions for the injected characters, unless turned off globally or per category
+        function getInjectedTagDefinitions(characters, settings) {
+            if (!(settings.injectTagDefinitions ?? defaultSettings.injectTagDefinitions)) {
+                return [];
+            }
+            return collectTagDefinitions(characters, tagPackEntries, {
+                disabledCategories: settings.disabledDefinitionCategories || defaultSettings.disabledDefinitionCategories
+            });
+        }
+        
+        // Fit character data (and tag definitions) into the aiTokenBudget: the active speaker first, then
+        // priority categories, then definitions. Whatever did not fit is logged and reported.
+        async function buildBudgetedCharacterData(characters, definitions, settings) {
+            const speakerFocus = isGroupChat() && (settings.groupSpeakerFocus ?? defaultSettings.groupSpeakerFocus);
+            const speakerName = resolveCharacterName(getCurrentSpeakerName(), buildAliasIndex(scannedCharacters));
+            const budget = settings.aiTokenBudget ?? defaultSettings.aiTokenBudget;
+            
+            const result = await assembleBudgetedInjection({
+                characters,
+                speakerName,
+                priorityTags: settings.aiPriorityTags || defaultSettings.aiPriorityTags,
+                definitions,
+                budget,
+                compactOthers: speakerFocus && characters.some(character => character.name === speakerName),
+                serialize: (fitted) => serializeCharacters(fitted)
+            });
             
-            // Parse BunnyMoTags from the entry content
-            const bunnyTagsMatch = entry.content.match(/<BunnymoTags>(.*?)<\/BunnymoTags>/s);
-            if (bunnyTagsMatch) {
-                const tagsContent = bunnyTagsMatch[1];
-                const tagMatches = tagsContent.match(/<([^:>]+):([^>]+)>/g);
-                
-                if (tagMatches) {
-                    tagMatches.forEach(tagMatch => {
-                        const match = tagMatch.match(/<([^:>]+):([^>]+)>/);
-                        if (match) {
-                            const category = match[1].toLowerCase().trim();
-                            const value = match[2].trim();
-                            
-                            if (!character.tags[category]) {
-                                character.tags[category] = [];
-                            }
-                            character.tags[category].push(value);
-                        }
-                    });
-                }
+            logSeq(`🪙 Token budget: ${result.tokens}/${budget} tokens used`);
+            if (result.dropped.length > 0) {
+                const droppedSummary = describeDroppedContent(result.dropped);
+                logSeq(`✂️ Dropped to fit the token budget: ${droppedSummary}`);
+                toastr.info(`Left out to stay within ${budget} tokens: ${droppedSummary}`, 'BunnyMoTags token budget', { preventDuplicates: true });
+            }
+            return result.text;
+        }
+        
+        // Build the injected block: the characters, then the tag library definitions of their tags
+        async function buildActivatedInjectionBlock(characterData, settings) {
+            const definitions = getInjectedTagDefinitions(characterData.characters, settings);
+            if (definitions.length > 0) {
+                logSeq(`📖 ${definitions.length} tag definitions for ${characterData.characters.length} characters`);
+            }
+            
+            if ((settings.aiTokenBudget ?? defaultSettings.aiTokenBudget) > 0) {
+                return await buildBudgetedCharacterData(characterData.characters, definitions, settings);
+            }
+            
+            const block = buildCharacterBlock(characterData, settings);
+            return definitions.length > 0 ? `${block}\n\n${formatTagDefinitions(definitions)}` : block;
+        }
+        
+        // With group speaker focus on, the member about to speak gets their full sheet first and
+        // everyone else is compacted, so each turn is anchored to its own sheet.
+        function buildCharacterBlock(characterData, settings) {
+            const speakerName = isGroupChat() && (settings.groupSpeakerFocus ?? defaultSettings.groupSpeakerFocus)
+                ? resolveCharacterName(getCurrentSpeakerName(), buildAliasIndex(scannedCharacters))
+                : null;
+            const speaker = speakerName && characterData.characters.find(character => character.name === speakerName);
+            if (!speaker) {
+                return serializeCharacters(characterData.characters);
             }
             
-            logSeq(`✅ Extracted character: ${character.name} with ${Object.keys(character.tags).length} tag categories`);
-            return character;
+            const others = characterData.characters.filter(character => character !== speaker);
+            let block = `[ACTIVE SPEAKER: ${speaker.name}]\n${serializeCharacters([speaker])}`;
+            if (others.length > 0) {
+                const compactOthers = generateCompactFormat(optimizeForAI({ characters: others }, {
+                    maxCharacters: others.length,
+                    priorityTags: settings.aiPriorityTags || defaultSettings.aiPriorityTags,
+                    maxTagsPerCategory: settings.aiMaxTagsPerCategory || defaultSettings.aiMaxTagsPerCategory
+                }));
+                block += `\n\n[ALSO PRESENT]\n${compactOthers}`;
+            }
+            logSeq(`👥 Speaker focus: ${speaker.name} in full, ${others.length} others compact`);
+            return block;
         }
         
         // Inject character data for activated characters only
         async function injectActivatedCharacterData(characterData) {
+            logSeq(`🧾 Injection format: ${getSerializer(getActiveSerializerId()).label}`);
             if (!isEnabled()) {
                 Debug.system('Extension disabled - skipping activated character data injection');
                 return;
@@ -5138,7 +6158,7 @@ This character information takes PRIORITY over other context. Ensure your respon
                 return;
             }
             
-            const bunnyMoBlock = generateBunnyMoBlock(characterData, 'json');
+            const bunnyMoBlock = await buildActivatedInjectionBlock(characterData, settings);
             const context = getContext();
             
             if (context && context.executeSlashCommandsWithOptions) {
@@ -5148,6 +6168,14 @@ This character information takes PRIORITY over other context. Ensure your respon
                 const role = settings.injectionRole || defaultSettings.injectionRole;
                 const injectionText = settings.injectionPrompt.replace('{{CHARACTER_DATA}}', bunnyMoBlock);
                 const ephemeral = true;
+                emitBunnyMoEvent(BUNNYMO_EVENTS.INJECTION_BUILT, {
+                    names: characterData.characters.map(character => character.name),
+                    text: injectionText,
+                    block: bunnyMoBlock,
+                    format: getActiveSerializerId(),
+                    depth,
+                    role
+                });
                 
                 const injectionCommand = `/inject id=bunnymo-activated position=chat ephemeral=${ephemeral} scan=true depth=${depth} role=${role} ${injectionText}`;
                 
@@ -5303,6 +6331,155 @@ This character information takes PRIORITY over other context. Ensure your respon
         //     return activeCharacters;
         // }
         
+        // Record the characters BunnyMoTags decided are in the scene and tell other extensions
+        function activateCharacters(characters) {
+            setActiveCharacters(characters);
+            // Repo edits made while this chat was closed show up as growth the next time a character is activated
+            characters.forEach(character => trackEffectiveTags(character, GROWTH_SOURCES.repo));
+            emitBunnyMoEvent(BUNNYMO_EVENTS.CHARACTERS_ACTIVATED, {
+                names: characters.map(character => character.name),
+                characters: characters.map(cloneCharacter)
+            });
+        }
+        
+        // Detect the characters of the current chat and inject them right away (/bmt-inject, BunnyMoTags.injectNow)
+        async function injectDetectedCharacters() {
+            const characters = detectChatCharacters().map(name => applyChatOverrides(scannedCharacters.get(name))).filter(Boolean);
+            if (characters.length === 0) {
+                return [];
+            }
+            activateCharacters(characters);
+            await injectActivatedCharacterData({ characters, timestamp: Date.now() });
+            return characters.map(character => character.name);
+        }
+        
+        // window.BunnyMoTags for other extensions
+        function setupPublicApi() {
+            const findCharacter = (name) => scannedCharacters.get(resolveCharacterName(name, buildAliasIndex(scannedCharacters)));
+            
+            installBunnyMoApi({
+                getCharacters: () => Array.from(scannedCharacters.values(), cloneCharacter),
+                getActive: () => getActiveCharacters().map(cloneCharacter),
+                getTags: (name) => cloneCharacter(applyChatOverrides(findCharacter(name)))?.tags ?? null,
+                getDefinitions: (name) => {
+                    const character = applyChatOverrides(findCharacter(name));
+                    return character ? collectTagDefinitions([character], tagPackEntries).map(definition => structuredClone(definition)) : [];
+                },
+                injectNow: () => injectDetectedCharacters(),
+                acceptTags: (name, tags) => acceptSuggestedTags(name, tags),
+                rescan: async (lorebookName) => {
+                    const result = await scanLorebookNow(lorebookName);
+                    if (!result) return null;
+                    reportRescan(lorebookName, result);
+                    return [...result.changedCharacters];
+                }
+            });
+            
+            logSeq('🔌 window.BunnyMoTags API installed');
+        }
+        
+        // Saving a scanned lorebook re-parses just that book, refreshes its cards and reports changed repo entries.
+        // A selected or repo lorebook missing from the last scan joins it, so a first entry written to a new repo is picked up.
+        function setupIncrementalRescan() {
+            eventSource.on(event_types.WORLDINFO_UPDATED, (lorebookName, lorebook) => {
+                const result = lorebook?.entries && joinScanCache(lorebookName) ? rescanLorebook(lorebookName, lorebook) : null;
+                if (result) {
+                    reportRescan(lorebookName, result);
+                }
+            });
+        }
+        
+        function reportRescan(lorebookName, result) {
+            logSeq(`📚 Rescanned ${lorebookName}: ${result.changedCharacters.length} characters changed`);
+            result.entryChanges.forEach(change => {
+                logSeq(`📝 Repo entry ${change.change}: ${lorebookName} #${change.uid} (${change.characters.join(', ') || 'no characters'})`);
+                emitBunnyMoEvent(BUNNYMO_EVENTS.REPO_ENTRY_CHANGED, change);
+            });
+            updateStatusDisplay();
+        }
+        
+        // STscript commands so Quick Replies and scripts can drive BunnyMoTags without the settings panel
+        function registerBunnyMoSlashCommands() {
+            const findCharacter = (name) => resolveCharacterName(name, buildAliasIndex(scannedCharacters));
+            
+            registerSlashCommand('bmt-scan', async () => {
+                const selected = Array.from(selectedLorebooks);
+                if (selected.length === 0) {
+                    toastr.warning('No lorebooks selected for scanning', 'BunnyMoTags');
+                    return '';
+                }
+                const results = await scanSelectedLorebooks(selected);
+                updateStatusDisplay();
+                toastr.success(`${results.characters.length} characters, ${results.tagEntries} tag entries`, 'BunnyMoTags scan');
+                return String(results.characters.length);
+            }, [], '– rescans the selected lorebooks and returns how many characters were found', true, true);
+            
+            registerSlashCommand('bmt-active', () => {
+                const names = detectChatCharacters();
+                return names.join(', ');
+            }, [], '– returns the characters detected in the current chat, comma-separated', true, true);
+            
+            const setPinned = (value, pinned) => {
+                const name = findCharacter(String(value ?? '').trim());
+                if (!name) {
+                    toastr.warning(`No scanned character named "${value}"`, 'BunnyMoTags');
+                    return '';
+                }
+                setCharacterPinned(name, pinned);
+                logSeq(`📌 ${name} ${pinned ? 'pinned' : 'unpinned'} by slash command`);
+                return name;
+            };
+            registerSlashCommand('bmt-pin', (_, value) => setPinned(value, true), [],
+                '<span class="monospace">(name)</span> – keeps a character injected in this chat', true, true);
+            registerSlashCommand('bmt-unpin', (_, value) => setPinned(value, false), [],
+                '<span class="monospace">(name)</span> – removes a character from this chat\'s pins', true, true);
+            
+            registerSlashCommand('bmt-inject', async () => {
+                const names = await injectDetectedCharacters();
+                if (names.length === 0) {
+                    toastr.info('No characters to inject', 'BunnyMoTags');
+                }
+                return names.join(', ');
+            }, [], '– injects the currently detected characters right away and returns their names', true, true);
+            
+            // "Luna Vance species" -> name "Luna Vance", category "species"; a bare name returns every category as JSON
+            registerSlashCommand('bmt-tags', (_, value) => {
+                const text = String(value ?? '').trim();
+                let name = findCharacter(text);
+                let category = null;
+                if (!name && text.includes(' ')) {
+                    const split = text.lastIndexOf(' ');
+                    name = findCharacter(text.substring(0, split));
+                    category = text.substring(split + 1).toLowerCase();
+                }
+                const character = name && applyChatOverrides(scannedCharacters.get(name));
+                if (!character) {
+                    toastr.warning(`No scanned character named "${text}"`, 'BunnyMoTags');
+                    return '';
+                }
+                return category ? (character.tags[category] || []).join(', ') : JSON.stringify(character.tags);
+            }, [], '<span class="monospace">(name [category])</span> – returns a character\'s tags: one category comma-separated, or all of them as JSON', true, true);
+            
+            registerSlashCommand('bmt-toggle', (_, value) => {
+                const arg = String(value ?? '').trim().toLowerCase();
+                const enabled = ['on', 'true', '1'].includes(arg) ? true
+                    : ['off', 'false', '0'].includes(arg) ? false
+                        : !isEnabled();
+                updateSetting('enabled', enabled);
+                $('#bmt-enabled').prop('checked', enabled);
+                if (enabled) {
+                    enableExtensionFunctionality();
+                } else {
+                    disableExtensionFunctionality();
+                }
+                updateUIStates();
+                toastr.info(`BunnyMoTags ${enabled ? 'enabled' : 'disabled'}`);
+                return String(enabled);
+            }, [], '<span class="monospace">[on|off]</span> – switches BunnyMoTags on or off (toggles without an argument)', true, true);
+            
+            logSeq('⌨️ Slash commands registered: /bmt-scan, /bmt-active, /bmt-pin, /bmt-unpin, /bmt-inject, /bmt-tags, /bmt-toggle');
+        }
+        
         function setupAutoCharacterDetection() {
             
             // Listen for pre-generation events to inject character data
@@ -5334,6 +6511,9 @@ This character information takes PRIORITY over other context. Ensure your respon
                     setTimeout(BMT_restoreAllCards, 100);
                 });
                 
+                // Know whose turn it is in group chats (for speaker-focused injection)
+                trackGroupSpeaker();
+                
                 // ENABLED: Listen for lorebook activation instead of manual detection
                 eventSource.on(event_types.WORLD_INFO_ACTIVATED, async (entryList) => {
                     const settings = extension_settings[extensionName] || defaultSettings;
@@ -5446,46 +6626,8 @@ This character information takes PRIORITY over other context. Ensure your respon
                 return;
             }
             
-            const recentMessages = chat ? chat.slice(-5) : [];
-            const activeCharacters = [];
-            
-            // Check recent message senders and content for character names (skip BunnyMo system messages)
-            recentMessages.forEach(msg => {
-                // Skip BunnyMo system messages to avoid infinite loops
-                if (msg.name === 'BunnyMoTags') {
-                    return;
-                }
-                
-                // Check message sender
-                if (msg.name && scannedCharacters.has(msg.name)) {
-                    if (!activeCharacters.includes(msg.name)) {
-                        activeCharacters.push(msg.name);
-                    }
-                }
-                
-                // Check message content for character mentions
-                if (msg.mes) {
-                    const messageText = msg.mes.toLowerCase();
-                    for (const charName of scannedCharacters.keys()) {
-                        const nameLower = charName.toLowerCase();
-                        
-                        // Split character name into words and check if any word appears in message
-                        const nameWords = nameLower.split(' ');
-                        let found = false;
-                        
-                        for (const word of nameWords) {
-                            if (word.length > 2 && messageText.includes(word)) { // Skip short words like "al", "ibn"
-                                found = true;
-                                break;
-                            }
-                        }
-                        
-                        if (found && !activeCharacters.includes(charName)) {
-                            activeCharacters.push(charName);
-                        }
-                    }
-                }
-            });
+            // Check recent message senders and content using the configured sensitivity mode
+            const activeCharacters = detectChatCharacters();
             
             if (activeCharacters.length > 0) {
                 showRealCharacterInsights(activeCharacters);
@@ -5501,8 +6643,8 @@ This character information takes PRIORITY over other context. Ensure your respon
                 const charData = scannedCharacters.get(charName);
                 if (charData) {
                     bunnyMoContent += `${charName}:\n`;
-                    for (const [tagType, tagValues] of charData.tags) {
-                        const displayValues = Array.from(tagValues).join(', ');
+                    for (const [tagType, tagValues] of Object.entries(charData.tags)) {
+                        const displayValues = tagValues.join(', ');
                         bunnyMoContent += `- ${tagType}: ${displayValues}\n`;
                     }
                     bunnyMoContent += '\n';
@@ -5579,9 +6721,8 @@ This character information takes PRIORITY over other context. Ensure your respon
             // Use actual scanned character data from lorebooks instead of hardcoded test data
             if (scannedCharacters.size > 0) {
                 const actualCharacterData = {
-                    characters: Array.from(scannedCharacters.entries()).map(([name, data]) => ({
-                        name: name,
-                        tags: Object.fromEntries(data.tags),
+                    characters: Array.from(scannedCharacters.values()).map(data => ({
+                        ...data,
                         source: data.source || 'Lorebooks'
                     }))
                 };
@@ -5638,15 +6779,10 @@ function createCardBasedCharacterData(activeCharactersFilter = null) {
         
         const character = {
             name: characterName,
-            tags: {},
+            tags: { ...characterInfo.tags },
             source: characterInfo.source
         };
         
-        // Convert Map structure to object for JSON serialization
-        for (const [tagType, tagSet] of characterInfo.tags.entries()) {
-            character.tags[tagType] = Array.from(tagSet);
-        }
-        
         // Only include characters with actual tag data
         if (Object.keys(character.tags).length > 0) {
             characters.push(character);
@@ -7112,6 +8248,24 @@ function exportTemplates() {
     toastr.success('Templates exported successfully');
 }
 
+// Download the scanned characters, this chat's BunnyMo state and the settings as one character database file
+function exportCharacterDatabase() {
+    const bundle = buildCharacterDatabase(scannedCharacters.values(), extension_settings[extensionName] || {});
+    const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `bunnymo-character-db-${new Date().toISOString().split('T')[0]}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    
+    logSeq(`📦 Exported character database: ${bundle.characters.length} characters`);
+    toastr.success(`Exported ${bundle.characters.length} characters`);
+}
+
 function importTemplates() {
     const jsonData = $('#bmt-import-data').val();
     
@@ -0,0 +1,86 @@
+/**
+ * @file Prompt macros for BunnyMoTags
+ * Lets character cards, Author's Note and system prompts place BunnyMo data wherever they want:
+ *   {{bunnymo::Luna::species}} - one category of a scanned character, comma-separated
+ *   {{bunnymo::Luna}}          - the character's whole sheet in the injection format
+ *   {{bunnymo_active}}         - names of the characters in the current activation set
+ *   {{bunnymo_block}}          - the current activation set in the injection format
+ * The host's macro parser only knows fixed macro names, so the per-character macros are
+ * re-registered after every lorebook scan.
+ */
+
+import { eventSource, event_types } from '../../../../script.js';
+import { MacrosParser } from '../../../macros.js';
+import { serializeCharacters } from './serializers.js';
+import { applyChatOverrides } from './overrides.js';
+
+const MACRO_PREFIX = 'bunnymo';
+
+// Characters BunnyMoTags most recently activated (injected) in this chat
+let activeCharacters = [];
+
+// Per-character macro names registered by the last scan, so a rescan can drop stale ones
+let characterMacroNames = [];
+
+const setActiveCharacters = (characters) => {
+    activeCharacters = (characters || []).filter(Boolean);
+};
+
+const getActiveCharacters = () => activeCharacters;
+
+const unregisterMacro = (name) => {
+    if (typeof MacrosParser.unregisterMacro === 'function') {
+        MacrosParser.unregisterMacro(name);
+    }
+};
+
+/**
+ * Register {{bunnymo::Name}} and {{bunnymo::Name::category}} for every scanned character.
+ * Values are read when the macro is evaluated, so later tag edits and this chat's overrides
+ * show up without a rescan.
+ * @param {Map<string, import('./tagParser.js').BunnyMoCharacter>} characters - scannedCharacters
+ */
+const registerCharacterMacros = (characters) => {
+    characterMacroNames.forEach(unregisterMacro);
+    characterMacroNames = [];
+
+    const register = (name, value, description) => {
+        MacrosParser.registerMacro(name, value, description);
+        characterMacroNames.push(name);
+    };
+
+    for (const character of characters.values()) {
+        const name = character.name;
+        register(`${MACRO_PREFIX}::${name}`,
+            () => serializeCharacters([applyChatOverrides(characters.get(name))].filter(Boolean)),
+            `BunnyMoTags sheet for ${name}`);
+
+        Object.keys(character.tags).forEach(category => {
+            register(`${MACRO_PREFIX}::${name}::${category}`,
+                () => (applyChatOverrides(characters.get(name))?.tags[category] || []).join(', '),
+                `BunnyMoTags ${category} tags for ${name}`);
+        });
+    }
+};
+
+// Register the macros that do not depend on the scanned characters (once, at startup).
+// The activation set belongs to a chat, so it is dropped when the chat changes.
+const registerBunnyMoMacros = () => {
+    eventSource.on(event_types.CHAT_CHANGED, () => {
+        activeCharacters = [];
+    });
+
+    MacrosParser.registerMacro(`${MACRO_PREFIX}_active`,
+        () => activeCharacters.map(character => character.name).join(', '),
+        'Names of the characters BunnyMoTags currently has active');
+    MacrosParser.registerMacro(`${MACRO_PREFIX}_block`,
+        () => serializeCharacters(activeCharacters),
+        'Tags of the characters BunnyMoTags currently has active, in the injection format');
+};
+
+export {
+    setActiveCharacters,
+    getActiveCharacters,
+    registerCharacterMacros,
+    registerBunnyMoMacros
+};
@@ -0,0 +1,120 @@
+/**
+ * @file Per-chat tag overrides
+ * A character can change within one chat (turned into a vampire, a new title, another outfit)
+ * without touching the shared repo entry. Overrides live in chat_metadata and are layered on
+ * top of the repo tags before injection, macros and cards.
+ */
+
+import { normalizeCategory, normalizeTagValue } from './tagParser.js';
+import { CHAT_STATE_KEYS, getChatState, saveChatState } from './chatState.js';
+
+/**
+ * One category's override. `replace` swaps the repo values out entirely (null keeps them),
+ * then `remove` drops values and `add` appends new ones.
+ * @typedef {Object} TagOverride
+ * @property {string[]|null} replace
+ * @property {string[]} add
+ * @property {string[]} remove
+ */
+
+// { [character name]: { [category]: TagOverride } }
+const getOverrideState = () => getChatState(CHAT_STATE_KEYS.overrides, () => ({}));
+
+// Overrides are keyed by the name they were saved under; match it case-insensitively
+const findCharacterKey = (state, name) => {
+    const lower = String(name ?? '').toLowerCase();
+    return Object.keys(state).find(key => key.toLowerCase() === lower);
+};
+
+const cleanValues = (values) => {
+    const list = Array.isArray(values) ? values : String(values ?? '').split(',');
+    return [...new Set(list.map(normalizeTagValue).filter(Boolean))];
+};
+
+// This chat's overrides for a character: { [category]: TagOverride } (empty when none)
+const getCharacterOverrides = (name) => {
+    const state = getOverrideState();
+    const key = findCharacterKey(state, name);
+    return key ? state[key] : {};
+};
+
+const hasCharacterOverrides = (name) => Object.keys(getCharacterOverrides(name)).length > 0;
+
+/**
+ * Set one category's override for a character in this chat; an empty override removes it.
+ * @param {string} name - Character name
+ * @param {string} category - Tag category
+ * @param {{replace?: string[]|string|null, add?: string[]|string, remove?: string[]|string}} override - Values may be comma-separated strings
+ */
+const setCategoryOverride = (name, category, override) => {
+    const cleanCategory = normalizeCategory(category);
+    if (!name || !cleanCategory) return;
+
+    const state = getOverrideState();
+    const key = findCharacterKey(state, name) ?? name;
+    const replace = override?.replace === null || override?.replace === undefined ? null : cleanValues(override.replace);
+    const add = cleanValues(override?.add);
+    const remove = cleanValues(override?.remove);
+
+    if (replace === null && add.length === 0 && remove.length === 0) {
+        if (state[key]) {
+            delete state[key][cleanCategory];
+            if (Object.keys(state[key]).length === 0) delete state[key];
+        }
+    } else {
+        state[key] = { ...(state[key] || {}), [cleanCategory]: { replace, add, remove } };
+    }
+    saveChatState();
+};
+
+// Drop every override of a character in this chat
+const clearCharacterOverrides = (name) => {
+    const state = getOverrideState();
+    const key = findCharacterKey(state, name);
+    if (key) {
+        delete state[key];
+        saveChatState();
+    }
+};
+
+/**
+ * Layer this chat's overrides on top of a character's repo tags.
+ * @param {import('./tagParser.js').BunnyMoCharacter} character - Repo character (not modified)
+ * @param {Object<string, TagOverride>} [overrides] - Defaults to this chat's overrides for the character
+ * @returns {import('./tagParser.js').BunnyMoCharacter} The same character when nothing is overridden, otherwise
+ *   a copy with the overridden tags and `overriddenTags`: { [category]: { added: string[], removed: string[], replaced: boolean } }
+ */
+const applyChatOverrides = (character, overrides = getCharacterOverrides(character?.name)) => {
+    if (!character || Object.keys(overrides).length === 0) return character;
+
+    const tags = { ...character.tags };
+    const overriddenTags = {};
+    Object.entries(overrides).forEach(([category, { replace, add = [], remove = [] }]) => {
+        const original = character.tags[category] || [];
+        const values = (Array.isArray(replace) ? replace : original).filter(value => !remove.includes(value));
+        add.forEach(value => {
+            if (!values.includes(value)) values.push(value);
+        });
+
+        if (values.length > 0) {
+            tags[category] = values;
+        } else {
+            delete tags[category];
+        }
+        overriddenTags[category] = {
+            added: values.filter(value => !original.includes(value)),
+            removed: original.filter(value => !values.includes(value)),
+            replaced: Array.isArray(replace)
+        };
+    });
+
+    return { ...character, tags, overriddenTags };
+};
+
+export {
+    getCharacterOverrides,
+    hasCharacterOverrides,
+    setCategoryOverride,
+    clearCharacterOverrides,
+    applyChatOverrides
+};
@@ -0,0 +1,146 @@
+/**
+ * @file Character presence (mention decay)
+ * Each character gets a per-chat presence score. Being named or speaking raises it, every
+ * new message lowers it, and characters above the threshold stay injected after people
+ * stop saying their name.
+ */
+
+import { extension_settings } from '../../../extensions.js';
+import { CHAT_STATE_KEYS, getChatState, saveChatState } from './chatState.js';
+import { buildAliasIndex, resolveCharacterName, findMentionedCharacters } from './characterDetection.js';
+
+const DEFAULT_PRESENCE_OPTIONS = {
+    mentionBoost: 3, // Added when a character is named in a message
+    speakerBoost: 4, // Added when a character speaks
+    decay: 1, // Removed from every score for every new message
+    threshold: 1, // Characters at or above this stay injected
+    max: 10 // Scores never climb above this
+};
+
+// How many messages to replay when scoring starts over: a chat seen for the first time, or one
+// that got shorter (deleted messages, branch switch). Older messages would have decayed anyway.
+const REBUILD_WINDOW = 20;
+
+const getPresenceState = () => {
+    return getChatState(CHAT_STATE_KEYS.presence, () => ({ scores: {}, lastMessageIndex: -1 }));
+};
+
+// Extension settings that tune presence (presenceMentionBoost, presenceDecay, ...)
+const SETTING_KEYS = {
+    mentionBoost: 'presenceMentionBoost',
+    speakerBoost: 'presenceSpeakerBoost',
+    decay: 'presenceDecay',
+    threshold: 'presenceThreshold',
+    max: 'presenceMax'
+};
+
+// Defaults, then the user's extension settings, then whatever the caller passes
+const resolveOptions = (options = {}) => {
+    const settings = extension_settings.BunnyMoTags || {};
+    const resolved = { ...DEFAULT_PRESENCE_OPTIONS };
+    Object.entries(SETTING_KEYS).forEach(([key, settingKey]) => {
+        [settings[settingKey], options[key]].forEach(candidate => {
+            const value = Number(candidate);
+            if (candidate !== undefined && candidate !== '' && Number.isFinite(value) && value >= 0) {
+                resolved[key] = value;
+            }
+        });
+    });
+    return resolved;
+};
+
+/**
+ * Bring presence scores up to date with the chat. Only messages not seen yet are scored,
+ * so this is cheap to call before every injection.
+ * @param {object[]} messages - The chat, oldest first
+ * @param {Map<string, import('./tagParser.js').BunnyMoCharacter>} characters - scannedCharacters
+ * @param {object} [options] - Presence option overrides plus characterDetection match options
+ * @returns {Object<string, number>} Current scores by character name
+ */
+const updatePresence = (messages, characters, options = {}) => {
+    const state = getPresenceState();
+    if (!Array.isArray(messages) || characters.size === 0) return state.scores;
+
+    const presenceOptions = resolveOptions(options);
+
+    // The chat got shorter than what we last scored, or was never scored: rebuild from its tail
+    if (state.lastMessageIndex >= messages.length) {
+        state.scores = {};
+    }
+    if (state.lastMessageIndex >= messages.length || state.lastMessageIndex < 0) {
+        state.lastMessageIndex = Math.max(0, messages.length - REBUILD_WINDOW) - 1;
+    }
+    if (state.lastMessageIndex === messages.length - 1) return state.scores;
+
+    const aliasIndex = buildAliasIndex(characters);
+    const matchOptions = { caseSensitive: options.caseSensitive, aliases: options.aliases, nameWords: options.nameWords };
+    const raise = (name, amount) => {
+        if (!name) return;
+        state.scores[name] = Math.min(presenceOptions.max, (state.scores[name] || 0) + amount);
+    };
+
+    for (let index = state.lastMessageIndex + 1; index < messages.length; index++) {
+        const message = messages[index];
+
+        // Every message is a turn of decay, whatever it contains
+        Object.keys(state.scores).forEach(name => {
+            state.scores[name] = Math.max(0, state.scores[name] - presenceOptions.decay);
+            if (state.scores[name] === 0) {
+                delete state.scores[name];
+            }
+        });
+
+        // Skip BunnyMo system messages; they name everyone they inject
+        if (!message || message.name === 'BunnyMoTags') continue;
+
+        raise(resolveCharacterName(message.name, aliasIndex), presenceOptions.speakerBoost);
+        findMentionedCharacters(message.mes, characters, matchOptions).forEach(name => raise(name, presenceOptions.mentionBoost));
+    }
+
+    state.lastMessageIndex = messages.length - 1;
+    saveChatState();
+    return state.scores;
+};
+
+// Current presence score for a character in this chat (0 when absent)
+const getPresence = (name) => {
+    return getPresenceState().scores[name] || 0;
+};
+
+// Characters still present in this chat, strongest presence first
+const getPresentCharacters = (options = {}) => {
+    const { threshold } = resolveOptions(options);
+    return Object.entries(getPresenceState().scores)
+        .filter(([, score]) => score >= threshold)
+        .sort((a, b) => b[1] - a[1])
+        .map(([name]) => name);
+};
+
+/**
+ * Describe a character's presence for display on cards and in the WorldInfo panel.
+ * @returns {{score: number, max: number, messagesLeft: number, present: boolean}}
+ */
+const describePresence = (name, options = {}) => {
+    const { threshold, decay, max } = resolveOptions(options);
+    const score = getPresence(name);
+    const present = score >= threshold && score > 0;
+    const messagesLeft = present && decay > 0 ? Math.floor((score - threshold) / decay) : 0;
+    return { score, max, messagesLeft, present };
+};
+
+// Forget presence for this chat
+const resetPresence = () => {
+    const state = getPresenceState();
+    state.scores = {};
+    state.lastMessageIndex = -1;
+    saveChatState();
+};
+
+export {
+    DEFAULT_PRESENCE_OPTIONS,
+    updatePresence,
+    getPresence,
+    getPresentCharacters,
+    describePresence,
+    resetPresence
+};
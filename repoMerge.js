@@ -0,0 +1,116 @@
+/**
+ * @file Merging characters that appear in several character repos
+ * Repos are merged in the user's repo order: the first is the base (a shared roster, say)
+ * and later ones layer on top (per-campaign overrides). How a tag category combines across
+ * repos is its merge policy:
+ * - first-wins: the first repo to define the category keeps it
+ * - override: the last repo to define the category replaces it
+ * - union: values from every repo, in repo order
+ * Every merge records which repo supplied which tag, for the conflict report.
+ */
+
+import { addAlias, normalizeCategory } from './tagParser.js';
+
+const MERGE_POLICIES = ['first-wins', 'override', 'union'];
+const DEFAULT_MERGE_POLICY = 'first-wins';
+
+// Repos in merge order: those in the priority list first (in its order), then the rest as scanned
+const orderRepos = (repoNames, priority = []) => {
+    const listed = priority.filter(name => repoNames.includes(name));
+    return [...listed, ...repoNames.filter(name => !listed.includes(name))];
+};
+
+const getMergePolicy = (category, policies = {}, defaultPolicy = DEFAULT_MERGE_POLICY) => {
+    const policy = policies[normalizeCategory(category)];
+    if (MERGE_POLICIES.includes(policy)) return policy;
+    return MERGE_POLICIES.includes(defaultPolicy) ? defaultPolicy : DEFAULT_MERGE_POLICY;
+};
+
+const sameValues = (a, b) => a.length === b.length && a.every(value => b.includes(value));
+
+/**
+ * Merge the characters of several repos into one character per name.
+ * @param {Map<string, import('./tagParser.js').BunnyMoCharacter[]>} charactersByRepo - Repo name -> its characters, in scan order
+ * @param {{priority?: string[], policies?: Object<string, string>, defaultPolicy?: string}} [options]
+ * @returns {{characters: Map<string, import('./tagParser.js').BunnyMoCharacter>, conflicts: object[]}}
+ *   Merged characters get `sources` (every repo that describes them) and `tagSources`
+ *   (category -> value -> repo). A conflict is a category that several repos define differently:
+ *   { name, category, policy, contributions: [{repo, values}], result: string[] }
+ */
+const mergeRepoCharacters = (charactersByRepo, options = {}) => {
+    const repos = orderRepos(Array.from(charactersByRepo.keys()), options.priority);
+
+    // name (lowercase) -> [{ repo, character }] in merge order; within one repo the first entry wins
+    const appearances = new Map();
+    repos.forEach(repo => {
+        const seen = new Set();
+        (charactersByRepo.get(repo) || []).forEach(character => {
+            const key = character.name.toLowerCase();
+            if (seen.has(key)) return;
+            seen.add(key);
+            if (!appearances.has(key)) appearances.set(key, []);
+            appearances.get(key).push({ repo, character });
+        });
+    });
+
+    const characters = new Map();
+    const conflicts = [];
+
+    appearances.forEach(list => {
+        const base = list[0].character;
+        const merged = { ...base, aliases: [...(base.aliases || [])], tags: {}, sources: list.map(item => item.repo), tagSources: {} };
+        list.slice(1).forEach(({ character }) => (character.aliases || []).forEach(alias => addAlias(merged.aliases, alias)));
+
+        // category -> [{ repo, values }] in merge order
+        const contributions = new Map();
+        list.forEach(({ repo, character }) => {
+            Object.entries(character.tags).forEach(([category, values]) => {
+                if (!contributions.has(category)) contributions.set(category, []);
+                contributions.get(category).push({ repo, values });
+            });
+        });
+
+        contributions.forEach((byRepo, category) => {
+            const policy = getMergePolicy(category, options.policies, options.defaultPolicy);
+            let picked;
+            if (policy === 'union') {
+                picked = byRepo;
+            } else {
+                picked = [policy === 'override' ? byRepo[byRepo.length - 1] : byRepo[0]];
+            }
+
+            const values = [];
+            const sources = {};
+            picked.forEach(({ repo, values: repoValues }) => repoValues.forEach(value => {
+                if (!values.includes(value)) {
+                    values.push(value);
+                    sources[value] = repo;
+                }
+            }));
+            merged.tags[category] = values;
+            merged.tagSources[category] = sources;
+
+            if (byRepo.length > 1 && byRepo.some(item => !sameValues(item.values, byRepo[0].values))) {
+                conflicts.push({
+                    name: merged.name,
+                    category,
+                    policy,
+                    contributions: byRepo.map(({ repo, values: repoValues }) => ({ repo, values: [...repoValues] })),
+                    result: [...values]
+                });
+            }
+        });
+
+        characters.set(merged.name, merged);
+    });
+
+    return { characters, conflicts };
+};
+
+export {
+    MERGE_POLICIES,
+    DEFAULT_MERGE_POLICY,
+    orderRepos,
+    getMergePolicy,
+    mergeRepoCharacters
+};
@@ -0,0 +1,141 @@
+/**
+ * @file Injection serializers for BunnyMoTags
+ * Different models follow different formats better, so the character data injected into
+ * the prompt goes through a pluggable serializer. The one used is picked per chat, then
+ * per connection profile, then from the global setting.
+ */
+
+import { extension_settings } from '../../../extensions.js';
+import { generateBunnyMoBlock } from './cardRenderer.js';
+import { generateCompactFormat, generateOptimizedJSON } from './tokenOptimizer.js';
+import { normalizeCharacter } from './tagParser.js';
+import { CHAT_STATE_KEYS, getChatState, setChatState } from './chatState.js';
+
+const DEFAULT_SERIALIZER = 'bullets';
+
+// id -> { label, serialize(characters) }
+const serializers = new Map();
+
+/**
+ * Register an injection serializer.
+ * @param {string} id - Stored in settings, keep it stable
+ * @param {{label: string, serialize: (characters: import('./tagParser.js').BunnyMoCharacter[]) => string}} serializer
+ */
+const registerSerializer = (id, serializer) => {
+    if (!id || typeof serializer?.serialize !== 'function') {
+        throw new Error(`Invalid BunnyMoTags serializer: ${id}`);
+    }
+    serializers.set(id, { label: serializer.label || id, serialize: serializer.serialize });
+};
+
+const getSerializer = (id) => serializers.get(id) || serializers.get(DEFAULT_SERIALIZER);
+
+const listSerializers = () => Array.from(serializers.entries(), ([id, { label }]) => ({ id, label }));
+
+const escapeXml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// XML element names: categories like "love language" become love_language
+const toXmlName = (category) => category.replace(/[^\p{L}\p{N}_-]+/gu, '_').replace(/^(?=[\p{N}-])/u, '_');
+
+// "a", "a and b", "a, b and c"
+const joinProse = (items) => items.length <= 1
+    ? items.join('')
+    : `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+
+registerSerializer('bullets', {
+    label: 'Bullet list (default)',
+    serialize: (characters) => generateBunnyMoBlock(characters)
+});
+
+registerSerializer('compact', {
+    label: 'Compact (name: cat(a,b))',
+    serialize: (characters) => generateCompactFormat({ characters })
+});
+
+registerSerializer('json', {
+    label: 'Minified JSON',
+    serialize: (characters) => generateOptimizedJSON({
+        characters: characters.map(char => ({ name: char.name, tags: char.tags }))
+    })
+});
+
+registerSerializer('xml', {
+    label: 'XML (<character name="..">)',
+    serialize: (characters) => characters.map(char => {
+        const tags = Object.entries(char.tags)
+            .filter(([, values]) => values.length > 0)
+            .map(([category, values]) => `  <${toXmlName(category)}>${escapeXml(values.join(', '))}</${toXmlName(category)}>`);
+        return `<character name="${escapeXml(char.name)}">\n${tags.join('\n')}\n</character>`;
+    }).join('\n')
+});
+
+registerSerializer('prose', {
+    label: 'Prose summary',
+    serialize: (characters) => characters.map(char => {
+        const facts = Object.entries(char.tags)
+            .filter(([, values]) => values.length > 0)
+            .map(([category, values]) => `${category} ${joinProse(values.map(value => value.toLowerCase()))}`);
+        return facts.length > 0
+            ? `${char.name} has the following traits: ${facts.join('; ')}.`
+            : '';
+    }).filter(Boolean).join('\n')
+});
+
+// Connection profile currently selected in SillyTavern's Connection Manager (null when none)
+const getCurrentConnectionProfile = () => {
+    const connectionManager = extension_settings.connectionManager;
+    const profileId = connectionManager?.selectedProfile;
+    if (!profileId) return null;
+    return connectionManager.profiles?.find(profile => profile.id === profileId) || null;
+};
+
+// Serializer chosen for this chat (null = not set)
+const getChatSerializerId = () => {
+    const id = getChatState(CHAT_STATE_KEYS.serializer, () => null);
+    return serializers.has(id) ? id : null;
+};
+
+const setChatSerializerId = (id) => {
+    setChatState(CHAT_STATE_KEYS.serializer, serializers.has(id) ? id : null);
+};
+
+// Serializer chosen for the current connection profile (null = not set)
+const getProfileSerializerId = () => {
+    const profile = getCurrentConnectionProfile();
+    const id = profile ? extension_settings.BunnyMoTags?.serializerByProfile?.[profile.id] : null;
+    return serializers.has(id) ? id : null;
+};
+
+// Which serializer injection uses right now: chat choice, then connection profile, then global
+const getActiveSerializerId = () => {
+    const globalId = extension_settings.BunnyMoTags?.injectionSerializer;
+    return getChatSerializerId()
+        || getProfileSerializerId()
+        || (serializers.has(globalId) ? globalId : DEFAULT_SERIALIZER);
+};
+
+// Serialize characters for injection with the given (or currently active) serializer
+const serializeCharacters = (characters, id = getActiveSerializerId()) => {
+    const list = (Array.isArray(characters) ? characters : characters?.characters || [])
+        .map(normalizeCharacter)
+        .filter(Boolean);
+    if (list.length === 0) return '';
+    return getSerializer(id).serialize(list);
+};
+
+export {
+    DEFAULT_SERIALIZER,
+    registerSerializer,
+    getSerializer,
+    listSerializers,
+    getCurrentConnectionProfile,
+    getChatSerializerId,
+    setChatSerializerId,
+    getProfileSerializerId,
+    getActiveSerializerId,
+    serializeCharacters
+};
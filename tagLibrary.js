@@ -0,0 +1,196 @@
+/**
+ * @file Tag library lookups for BunnyMoTags
+ * Tag libraries are the non-repo lorebooks whose entries explain what a tag means
+ * ("KUUDERE" -> how a kuudere behaves). This resolves the tags of the characters being
+ * injected against those entries so the model gets the definitions alongside the tags.
+ * The same entries make up the tag vocabulary that generated tags are checked against.
+ */
+
+import { ALIAS_CATEGORIES, normalizeCategory, normalizeTagValue } from './tagParser.js';
+
+// Keys a tag value may be stored under in a library: "SOFT SPOKEN" -> "soft spoken", "soft_spoken", "soft-spoken"
+const getLibraryKeys = (value) => {
+    const key = String(value ?? '').toLowerCase().trim();
+    if (!key) return [];
+    return Array.from(new Set([key, key.replace(/\s+/g, '_'), key.replace(/\s+/g, '-')]));
+};
+
+// Find the library entry for one tag value (undefined when no library defines it)
+const findTagDefinition = (value, libraryEntries) => {
+    for (const key of getLibraryKeys(value)) {
+        const entry = libraryEntries.get(key);
+        if (entry) return entry;
+    }
+    return undefined;
+};
+
+/**
+ * Resolve every tag of the given characters against the scanned tag libraries.
+ * A definition is returned once no matter how many characters (or tags, when several
+ * keys point at the same library entry) lead to it.
+ * @param {import('./tagParser.js').BunnyMoCharacter[]} characters - Characters being injected
+ * @param {Map<string, {content: string, keys: string[], comment: string, source: string}>} libraryEntries - tagPackEntries
+ * @param {{disabledCategories?: string[]}} [options] - Tag categories whose definitions are left out
+ * @returns {{tag: string, content: string, source: string, categories: string[], characters: string[]}[]}
+ */
+const collectTagDefinitions = (characters, libraryEntries, options = {}) => {
+    const disabled = (options.disabledCategories || []).map(normalizeCategory);
+    const byEntry = new Map();
+
+    (characters || []).forEach(character => {
+        Object.entries(character.tags || {}).forEach(([category, values]) => {
+            if (disabled.includes(normalizeCategory(category))) return;
+
+            values.forEach(value => {
+                const entry = findTagDefinition(value, libraryEntries);
+                if (!entry?.content) return;
+
+                if (!byEntry.has(entry)) {
+                    byEntry.set(entry, {
+                        tag: String(value).toLowerCase(),
+                        content: entry.content,
+                        source: entry.source,
+                        categories: [],
+                        characters: []
+                    });
+                }
+                const definition = byEntry.get(entry);
+                if (!definition.categories.includes(category)) definition.categories.push(category);
+                if (!definition.characters.includes(character.name)) definition.characters.push(character.name);
+            });
+        });
+    });
+
+    return Array.from(byEntry.values());
+};
+
+// Render definitions the way the injection has always written them
+const formatTagDefinitions = (definitions) => {
+    return definitions.map(definition => `[${definition.tag.toUpperCase()} DEFINITION]\n${definition.content}`).join('\n\n');
+};
+
+// Every tag category used by the given characters, sorted, for the per-category switches
+const listTagCategories = (characters) => {
+    const categories = new Set();
+    for (const character of characters) {
+        Object.keys(character.tags || {}).forEach(category => categories.add(category));
+    }
+    return Array.from(categories).sort();
+};
+
+/**
+ * The tag vocabulary of a set of library entries. Libraries are keyed by tag name, so entry keys
+ * and <TAG> comments are tags valid in any category; the <CATEGORY:VALUE> tags written in the
+ * entries declare categories and the values seen in them.
+ * @param {{content?: string, comment?: string, key?: string[], keys?: string[]}[]} entries - Lorebook entries or tagPackEntries records
+ * @returns {{categories: Map<string, Set<string>>, keys: Set<string>, values: Set<string>}} `values` holds every known value
+ */
+const buildTagVocabulary = (entries) => {
+    const categories = new Map();
+    const keys = new Set();
+    const values = new Set();
+    const addValue = (value) => {
+        const clean = normalizeTagValue(value);
+        if (clean) values.add(clean);
+        return clean;
+    };
+    const addKey = (value) => {
+        const clean = addValue(value);
+        if (clean) keys.add(clean);
+    };
+
+    (entries || []).forEach(entry => {
+        const text = `${entry.comment || ''}\n${entry.content || ''}`;
+        for (const [, category, value] of text.matchAll(/<([^:<>]+):([^<>]+)>/g)) {
+            const cleanCategory = normalizeCategory(category);
+            const cleanValue = addValue(value);
+            if (!cleanCategory || !cleanValue || cleanCategory === 'name' || ALIAS_CATEGORIES.includes(cleanCategory)) continue;
+            if (!categories.has(cleanCategory)) categories.set(cleanCategory, new Set());
+            categories.get(cleanCategory).add(cleanValue);
+        }
+        (entry.key || entry.keys || []).forEach(addKey);
+        for (const [, tag] of String(entry.comment || '').matchAll(/<([^:<>]+)>/g)) {
+            addKey(tag);
+        }
+    });
+
+    return { categories, keys, values };
+};
+
+// Edit distance between two strings (insertions, deletions and substitutions)
+const editDistance = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+// The candidates closest to a misspelled or invented tag, best first ("KUDERE" -> ["KUUDERE"])
+const suggestTagMatches = (value, candidates, limit = 3) => {
+    const target = String(value ?? '').toUpperCase();
+    if (!target) return [];
+
+    return Array.from(candidates)
+        .map(candidate => {
+            const upper = String(candidate).toUpperCase();
+            const contains = upper.includes(target) || target.includes(upper);
+            const score = editDistance(target, upper) / Math.max(target.length, upper.length);
+            return { candidate, score: contains ? Math.min(score, 0.3) : score };
+        })
+        .filter(({ score }) => score <= 0.4)
+        .sort((a, b) => a.score - b.score)
+        .slice(0, limit)
+        .map(({ candidate }) => candidate);
+};
+
+// Values a declared category accepts: the library keys plus the values its examples use.
+// Without declared categories every known value is accepted.
+const getAllowedValues = (category, vocabulary) => {
+    const declared = vocabulary.categories.get(category);
+    return declared ? new Set([...declared, ...vocabulary.keys]) : vocabulary.values;
+};
+
+/**
+ * Check tags against a tag vocabulary. Once the libraries declare categories, a category they do
+ * not declare is illegal; in a declared category a library key is valid next to the category's own
+ * values. Without declared categories only the values are checked; an empty vocabulary checks nothing.
+ * @param {Object<string, string[]>} tags - Canonical tags (NAME and aliases already left out)
+ * @param {{categories: Map<string, Set<string>>, keys: Set<string>, values: Set<string>}} vocabulary - From buildTagVocabulary
+ * @returns {{category: string, value: string, problem: 'category'|'value', suggestions: string[]}[]} The invalid tags
+ */
+const validateTags = (tags, vocabulary) => {
+    const invalid = [];
+    const knowsCategories = vocabulary.categories.size > 0;
+
+    Object.entries(tags || {}).forEach(([category, values]) => {
+        if (knowsCategories && !vocabulary.categories.has(category)) {
+            const suggestions = suggestTagMatches(category, vocabulary.categories.keys());
+            values.forEach(value => invalid.push({ category, value, problem: 'category', suggestions }));
+            return;
+        }
+        const allowed = getAllowedValues(category, vocabulary);
+        values.forEach(value => {
+            if (allowed.size > 0 && !allowed.has(value)) {
+                invalid.push({ category, value, problem: 'value', suggestions: suggestTagMatches(value, allowed) });
+            }
+        });
+    });
+    return invalid;
+};
+
+export {
+    getLibraryKeys,
+    findTagDefinition,
+    collectTagDefinitions,
+    formatTagDefinitions,
+    listTagCategories,
+    buildTagVocabulary,
+    suggestTagMatches,
+    getAllowedValues,
+    validateTags
+};
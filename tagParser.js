@@ -0,0 +1,273 @@
+/**
+ * @file Canonical BunnyMoTags parser
+ * The single place where character tags are read and normalized. The lorebook scan,
+ * lorebook activation, character cards and token optimizer all go through here so a
+ * tag looks the same wherever it shows up.
+ */
+
+/**
+ * Canonical character object used everywhere in BunnyMoTags.
+ *
+ * @typedef {Object} BunnyMoCharacter
+ * @property {string} name - Display name from the NAME tag, underscores turned into spaces, original casing kept
+ * @property {Object<string, string[]>} tags - Lowercase category -> unique UPPERCASE values (underscores turned into spaces). NAME, ALIAS and NICKNAME are never stored here
+ * @property {string[]} aliases - Other names from ALIAS / NICKNAME tags ("Lu", "the Fox Queen"), original casing kept
+ * @property {string} source - Lorebook (or other origin) the character came from
+ * @property {number} [uid] - WorldInfo entry uid when the character came from a lorebook entry
+ */
+
+// <BunnymoTags>...</BunnymoTags> blocks inside lorebook entries
+const TAG_BLOCK_REGEX = /<BunnymoTags>([\s\S]*?)<\/BunnymoTags>/gi;
+
+// Individual <CATEGORY:VALUE> tags inside a block
+const TAG_REGEX = /<([^:<>]+):([^<>]+)>/g;
+
+// Normalize a tag category: "Species " -> "species"
+const normalizeCategory = (category) => {
+    return String(category ?? '').trim().toLowerCase();
+};
+
+// Normalize a tag value: "soft_spoken " -> "SOFT SPOKEN"
+const normalizeTagValue = (value) => {
+    return String(value ?? '').replace(/_/g, ' ').replace(/\s+/g, ' ').trim().toUpperCase();
+};
+
+// Normalize a character name: "Luna_Vance" -> "Luna Vance" (casing is kept for display)
+const normalizeCharacterName = (name) => {
+    return String(name ?? '').replace(/_/g, ' ').replace(/\s+/g, ' ').trim();
+};
+
+// Tag categories that name the character instead of describing it
+const ALIAS_CATEGORIES = ['alias', 'nickname'];
+
+// Add an alias to a list, skipping empties and case-insensitive duplicates
+const addAlias = (aliases, value) => {
+    String(value ?? '').split(',').forEach(part => {
+        const alias = normalizeCharacterName(part);
+        if (alias && !aliases.some(existing => existing.toLowerCase() === alias.toLowerCase())) {
+            aliases.push(alias);
+        }
+    });
+};
+
+// Add a single tag to a canonical tags object, skipping empties and duplicates
+const addTag = (tags, category, value) => {
+    const cleanCategory = normalizeCategory(category);
+    const cleanValue = normalizeTagValue(value);
+    if (!cleanCategory || !cleanValue) return;
+
+    if (!tags[cleanCategory]) {
+        tags[cleanCategory] = [];
+    }
+    if (!tags[cleanCategory].includes(cleanValue)) {
+        tags[cleanCategory].push(cleanValue);
+    }
+};
+
+// Return the inner content of every <BunnymoTags> block in a piece of text
+const findTagBlocks = (content) => {
+    if (!content) return [];
+    return Array.from(String(content).matchAll(TAG_BLOCK_REGEX), match => match[1]);
+};
+
+// Parse the inside of one <BunnymoTags> block into its NAME, aliases and canonical tags
+const parseTagBlock = (blockContent) => {
+    const tags = {};
+    const aliases = [];
+    let name = null;
+
+    for (const [, category, value] of String(blockContent ?? '').matchAll(TAG_REGEX)) {
+        const cleanCategory = normalizeCategory(category);
+        if (cleanCategory === 'name') {
+            // First NAME tag wins; later ones are ignored rather than stored as tags
+            if (!name) {
+                name = normalizeCharacterName(value);
+            }
+            continue;
+        }
+        if (ALIAS_CATEGORIES.includes(cleanCategory)) {
+            addAlias(aliases, value);
+            continue;
+        }
+        addTag(tags, category, value);
+    }
+
+    return { name, aliases: aliases.filter(alias => alias.toLowerCase() !== name?.toLowerCase()), tags };
+};
+
+// Parse one <BunnymoTags> block into a character (null when it has no NAME or no tags)
+const parseBunnyMoTagBlock = (blockContent, source, uid) => {
+    const { name, aliases, tags } = parseTagBlock(blockContent);
+    if (!name || Object.keys(tags).length === 0) {
+        return null;
+    }
+
+    const character = { name, aliases, tags, source };
+    if (uid !== undefined) {
+        character.uid = uid;
+    }
+    return character;
+};
+
+// Extract every character described by a lorebook entry. Each <BunnymoTags> block is its
+// own character named by its NAME tag; a block without NAME falls back to the entry's
+// comment or first key, but only when it is the entry's only block. Blocks repeating
+// the same NAME are merged. Both the lorebook scan and lorebook activation use this.
+const extractBunnyMoCharacters = (entry, source) => {
+    const blocks = findTagBlocks(entry?.content);
+    const fallbackName = blocks.length === 1
+        ? normalizeCharacterName(entry?.comment || entry?.key?.[0])
+        : '';
+    const characters = new Map();
+
+    for (const block of blocks) {
+        const parsed = parseTagBlock(block);
+        const name = parsed.name || fallbackName;
+        if (!name || Object.keys(parsed.tags).length === 0) continue;
+
+        const existing = characters.get(name.toLowerCase());
+        if (existing) {
+            Object.entries(parsed.tags).forEach(([category, values]) => {
+                values.forEach(value => addTag(existing.tags, category, value));
+            });
+            parsed.aliases.forEach(alias => addAlias(existing.aliases, alias));
+            continue;
+        }
+
+        const aliases = parsed.aliases.filter(alias => alias.toLowerCase() !== name.toLowerCase());
+        const character = { name, aliases, tags: parsed.tags, source: source ?? entry?.world };
+        if (entry?.uid !== undefined) {
+            character.uid = entry.uid;
+        }
+        characters.set(name.toLowerCase(), character);
+    }
+
+    return Array.from(characters.values());
+};
+
+// Convert any tag container we have ever used (Map<string, Set>, Map<string, Array>,
+// plain object of arrays or comma strings) into the canonical tags object
+const normalizeTags = (rawTags) => {
+    const tags = {};
+    if (!rawTags) return tags;
+
+    const entries = rawTags instanceof Map ? rawTags.entries() : Object.entries(rawTags);
+    for (const [category, values] of entries) {
+        const cleanCategory = normalizeCategory(category);
+        if (cleanCategory === 'name' || ALIAS_CATEGORIES.includes(cleanCategory)) continue;
+
+        let list;
+        if (values instanceof Set || Array.isArray(values)) {
+            list = Array.from(values);
+        } else if (typeof values === 'string') {
+            list = values.split(',');
+        } else {
+            continue;
+        }
+
+        list.forEach(value => addTag(tags, category, value));
+    }
+    return tags;
+};
+
+// Normalize a character coming from JSON, a message block or an old Map-based structure
+const normalizeCharacter = (rawCharacter) => {
+    if (!rawCharacter) return null;
+
+    // Aliases may arrive as their own list or, from older data, inside the tags
+    const aliases = [];
+    (Array.isArray(rawCharacter.aliases) ? rawCharacter.aliases : []).forEach(alias => addAlias(aliases, alias));
+    if (rawCharacter.tags) {
+        const rawEntries = rawCharacter.tags instanceof Map ? rawCharacter.tags.entries() : Object.entries(rawCharacter.tags);
+        for (const [category, values] of rawEntries) {
+            if (!ALIAS_CATEGORIES.includes(normalizeCategory(category))) continue;
+            const list = typeof values === 'string' ? [values] : Array.from(values ?? []);
+            list.forEach(alias => addAlias(aliases, alias));
+        }
+    }
+
+    return {
+        ...rawCharacter,
+        name: normalizeCharacterName(rawCharacter.name) || 'Unknown',
+        aliases,
+        tags: normalizeTags(rawCharacter.tags),
+        source: rawCharacter.source || 'BunnyMoTags'
+    };
+};
+
+// Normalize a { characters: [...] } payload (or a bare array of characters) without mutating it
+const normalizeCharacterData = (data) => {
+    if (!data) return data;
+    const characters = Array.isArray(data) ? data : data.characters || [];
+    const normalized = characters.map(normalizeCharacter).filter(Boolean);
+    return Array.isArray(data) ? { characters: normalized } : { ...data, characters: normalized };
+};
+
+// Parse the line-based format used in injected context and chat messages:
+//   Luna:
+//   - species: kitsune
+//   - personality: kuudere, calm
+// Bare "- tag" lines go to the "other" category.
+const parseCharacterTagLines = (content, source = 'BunnyMoTags') => {
+    const characters = [];
+    let current = null;
+
+    String(content ?? '').split('\n').forEach(rawLine => {
+        const line = rawLine.trim();
+        if (!line) return;
+
+        if (line.startsWith('-')) {
+            if (!current) return;
+            const tagLine = line.substring(1).trim();
+            const colonIndex = tagLine.indexOf(':');
+            if (colonIndex > 0) {
+                const category = tagLine.substring(0, colonIndex);
+                if (ALIAS_CATEGORIES.includes(normalizeCategory(category))) {
+                    addAlias(current.aliases, tagLine.substring(colonIndex + 1));
+                    return;
+                }
+                tagLine.substring(colonIndex + 1).split(',').forEach(value => addTag(current.tags, category, value));
+            } else if (tagLine) {
+                addTag(current.tags, 'other', tagLine);
+            }
+            return;
+        }
+
+        const colonIndex = line.indexOf(':');
+        if (colonIndex <= 0) return;
+
+        const possibleName = line.substring(0, colonIndex);
+        if (possibleName.toLowerCase().includes('tag')) return;
+
+        if (current) {
+            characters.push(current);
+        }
+        current = { name: normalizeCharacterName(possibleName), aliases: [], tags: {}, source };
+
+        // Tags written on the name line itself ("Luna: kitsune, calm")
+        line.substring(colonIndex + 1).split(',').forEach(value => addTag(current.tags, 'other', value));
+    });
+
+    if (current) {
+        characters.push(current);
+    }
+
+    return characters;
+};
+
+export {
+    normalizeCategory,
+    normalizeTagValue,
+    normalizeCharacterName,
+    ALIAS_CATEGORIES,
+    addAlias,
+    addTag,
+    findTagBlocks,
+    parseTagBlock,
+    parseBunnyMoTagBlock,
+    extractBunnyMoCharacters,
+    normalizeTags,
+    normalizeCharacter,
+    normalizeCharacterData,
+    parseCharacterTagLines
+};
@@ -3,7 +3,8 @@
  * Strips formatting and optimizes data for AI context while preserving display data
  */
 
-import { extension_settings } from '../../../extensions.js';
+import { extension_settings, getContext } from '../../../extensions.js';
+import { normalizeCategory, normalizeCharacter, normalizeCharacterData } from './tagParser.js';
 
 const MODULE_NAME = 'BunnyMoTags-TokenOptimizer';
 const extensionName = 'BunnyMoTags';
@@ -22,7 +23,8 @@ const optimizeForAI = (characterData, settings = {}) => {
     }
 
     // Limit number of characters
-    const characters = characterData.characters.slice(0, maxCharacters);
+    const characters = characterData.characters.slice(0, maxCharacters).map(normalizeCharacter);
+    const priorityCategories = priorityTags.map(normalizeCategory);
     
     const optimizedCharacters = characters.map(char => {
         const optimizedChar = {
@@ -31,7 +33,7 @@ const optimizeForAI = (characterData, settings = {}) => {
         };
 
         // Prioritize important tag categories
-        priorityTags.forEach(category => {
+        priorityCategories.forEach(category => {
             if (char.tags[category] && Array.isArray(char.tags[category])) {
                 // Limit tags per category to save tokens
                 optimizedChar.tags[category] = char.tags[category]
@@ -42,7 +44,7 @@ const optimizeForAI = (characterData, settings = {}) => {
 
         // Add other categories if space allows, but limit them more aggressively
         Object.entries(char.tags).forEach(([category, tags]) => {
-            if (!priorityTags.includes(category) && Array.isArray(tags) && tags.length > 0) {
+            if (!priorityCategories.includes(category) && Array.isArray(tags) && tags.length > 0) {
                 optimizedChar.tags[category] = tags
                     .slice(0, 2) // Even more aggressive limiting for non-priority tags
                     .filter(tag => tag && tag.trim().length > 0);
@@ -181,7 +183,7 @@ const extractDisplayData = (messageContent) => {
     while ((match = regex.exec(messageContent)) !== null) {
         try {
             const data = JSON.parse(match[1]);
-            bunnyMoBlocks.push(data);
+            bunnyMoBlocks.push(normalizeCharacterData(data));
         } catch (error) {
             // Try parsing as compact format
             try {
@@ -200,11 +202,12 @@ const extractDisplayData = (messageContent) => {
                         
                         while ((categoryMatch = categoryRegex.exec(tagString)) !== null) {
                             const [, category, tags] = categoryMatch;
-                            char.tags[category] = tags.split(',').map(t => t.trim());
+                            char.tags[category] = tags.split(',');
                         }
                         
-                        if (Object.keys(char.tags).length > 0) {
-                            characters.push(char);
+                        const normalized = normalizeCharacter(char);
+                        if (Object.keys(normalized.tags).length > 0) {
+                            characters.push(normalized);
                         }
                     }
                 });
@@ -221,6 +224,169 @@ const extractDisplayData = (messageContent) => {
     return bunnyMoBlocks;
 };
 
+// Rough token estimation (1 token ≈ 4 characters), used when the host tokenizer is unavailable
+const estimateTokens = (text) => Math.ceil(String(text ?? '').length / 4);
+
+// Count tokens with SillyTavern's tokenizer for the current API, falling back to the estimate
+const countTokens = async (text) => {
+    const context = getContext();
+    if (typeof context?.getTokenCountAsync === 'function') {
+        try {
+            return await context.getTokenCountAsync(String(text ?? ''));
+        } catch (error) {
+            console.warn(`[${MODULE_NAME}] Host tokenizer failed, estimating instead:`, error);
+        }
+    }
+    return estimateTokens(text);
+};
+
+/**
+ * Assemble character data for injection within a token budget. Candidates are measured with the
+ * host tokenizer and added in priority order: the active speaker's whole sheet, then everyone's
+ * priority categories, then tag definitions, then everyone's remaining categories. Anything that
+ * does not fit is skipped (smaller candidates after it may still fit) and reported as dropped.
+ * @param {object} params
+ * @param {import('./tagParser.js').BunnyMoCharacter[]} params.characters - Characters to inject
+ * @param {string|null} [params.speakerName] - Character about to speak, filled first
+ * @param {string[]} [params.priorityTags] - Categories filled before the rest
+ * @param {{tag: string, content: string}[]} [params.definitions] - Tag library definitions
+ * @param {number} [params.budget] - Token budget for the character data; 0 means unlimited
+ * @param {boolean} [params.compactOthers] - Render everyone but the speaker in compact form
+ * @param {(characters: object[]) => string} [params.serialize] - Render the fitted characters with this serializer
+ *   instead of bullet lines; the rendered text is re-counted and trimmed to the budget
+ * @returns {Promise<{text: string, tokens: number, dropped: {type: string, name?: string, category?: string, tag?: string, tokens: number}[]}>}
+ */
+const assembleBudgetedInjection = async ({
+    characters = [],
+    speakerName = null,
+    priorityTags = [],
+    definitions = [],
+    budget = 0,
+    compactOthers = false,
+    serialize = null
+}) => {
+    const priorityCategories = priorityTags.map(normalizeCategory);
+    const ordered = characters.map(normalizeCharacter).filter(Boolean);
+    const speaker = ordered.find(char => char.name === speakerName) || null;
+    const others = ordered.filter(char => char !== speaker);
+    const isCompact = (char) => compactOthers && char !== speaker;
+
+    // Priority categories first, then the rest, in the character's own order
+    const sortedCategories = (char) => {
+        const categories = Object.keys(char.tags).filter(category => char.tags[category].length > 0);
+        return [
+            ...priorityCategories.filter(category => categories.includes(category)),
+            ...categories.filter(category => !priorityCategories.includes(category))
+        ];
+    };
+    const tagLine = (char, category) => isCompact(char)
+        ? `${category}(${char.tags[category].join(',')})`
+        : `  - ${category}: ${char.tags[category].join(', ')}`;
+
+    const candidates = [];
+    if (speaker) {
+        sortedCategories(speaker).forEach(category => candidates.push({ type: 'speaker', char: speaker, category }));
+    }
+    others.forEach(char => sortedCategories(char)
+        .filter(category => priorityCategories.includes(category))
+        .forEach(category => candidates.push({ type: 'priority', char, category })));
+    definitions.forEach(definition => candidates.push({ type: 'definition', definition }));
+    others.forEach(char => sortedCategories(char)
+        .filter(category => !priorityCategories.includes(category))
+        .forEach(category => candidates.push({ type: 'extra', char, category })));
+
+    // Measure every candidate (and each character's name line) once
+    const headerTokens = new Map();
+    await Promise.all(ordered.map(async char => headerTokens.set(char.name, await countTokens(`${char.name}:`))));
+    await Promise.all(candidates.map(async candidate => {
+        candidate.text = candidate.type === 'definition'
+            ? `[${candidate.definition.tag.toUpperCase()} DEFINITION]\n${candidate.definition.content}`
+            : tagLine(candidate.char, candidate.category);
+        candidate.tokens = await countTokens(candidate.text);
+    }));
+
+    // Greedy fill in priority order
+    const included = new Map(ordered.map(char => [char.name, []]));
+    const dropped = [];
+    const describeDrop = (candidate, tokens) => candidate.type === 'definition'
+        ? { type: 'definition', tag: candidate.definition.tag, tokens }
+        : { type: candidate.type, name: candidate.char.name, category: candidate.category, tokens };
+    let used = 0;
+
+    candidates.forEach(candidate => {
+        const needsHeader = candidate.type !== 'definition' && included.get(candidate.char.name).length === 0;
+        const cost = candidate.tokens + (needsHeader ? headerTokens.get(candidate.char.name) : 0);
+
+        if (budget > 0 && used + cost > budget) {
+            dropped.push(describeDrop(candidate, cost));
+            return;
+        }
+
+        used += cost;
+        candidate.included = true;
+        if (candidate.type !== 'definition') {
+            included.get(candidate.char.name).push(candidate.category);
+        }
+    });
+
+    // Render what fit, speaker first, keeping each character's category order
+    const render = () => {
+        const fitted = [speaker, ...others].filter(Boolean).map(char => {
+            const categories = sortedCategories(char).filter(category => included.get(char.name).includes(category));
+            if (categories.length === 0) return null;
+            return { name: char.name, tags: Object.fromEntries(categories.map(category => [category, char.tags[category]])) };
+        }).filter(Boolean);
+
+        let text;
+        if (serialize) {
+            // Compacted characters keep the compact format; everyone else goes through the chosen serializer
+            const full = fitted.filter(char => !(compactOthers && char.name !== speaker?.name));
+            const compact = fitted.filter(char => !full.includes(char));
+            text = [full.length > 0 ? serialize(full) : '', compact.length > 0 ? generateCompactFormat({ characters: compact }) : '']
+                .filter(Boolean)
+                .join('\n\n');
+        } else {
+            text = fitted.map(char => {
+                const lines = Object.keys(char.tags).map(category => tagLine(char, category));
+                return isCompact(char) ? `${char.name}: ${lines.join(' ')}` : `${char.name}:\n${lines.join('\n')}`;
+            }).join('\n\n');
+        }
+        const includedDefinitions = candidates.filter(candidate => candidate.type === 'definition' && candidate.included);
+        if (includedDefinitions.length > 0) {
+            text += `\n\n${includedDefinitions.map(candidate => candidate.text).join('\n\n')}`;
+        }
+        return text.trim();
+    };
+
+    // Candidates were measured as bullet lines; the rendered format (JSON, XML, prose) can be larger,
+    // so count what is really injected and drop the lowest-priority candidates until it fits
+    let text = render();
+    let tokens = await countTokens(text);
+    while (budget > 0 && tokens > budget) {
+        const last = candidates.findLast(candidate => candidate.included);
+        if (!last) break;
+        last.included = false;
+        if (last.type !== 'definition') {
+            const categories = included.get(last.char.name);
+            categories.splice(categories.indexOf(last.category), 1);
+        }
+        dropped.push(describeDrop(last, last.tokens));
+        text = render();
+        tokens = text ? await countTokens(text) : 0;
+    }
+
+    return { text, tokens, dropped };
+};
+
+// One-line summary of what a budgeted injection left out
+const describeDroppedContent = (dropped) => {
+    if (!dropped || dropped.length === 0) return '';
+    return dropped.map(item => item.type === 'definition'
+        ? `${item.tag} definition`
+        : `${item.name} ${item.category}`)
+        .join(', ');
+};
+
 // Debug function to show optimization results
 const debugOptimization = (originalData, messageId = null) => {
     const settings = extension_settings[extensionName] || {};
@@ -244,5 +410,9 @@ export {
     processMessageForAI,
     extractDisplayData,
     calculateTokenSavings,
-    debugOptimization
+    debugOptimization,
+    estimateTokens,
+    countTokens,
+    assembleBudgetedInjection,
+    describeDroppedContent
 };
\ No newline at end of file
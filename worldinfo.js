@@ -6,6 +6,10 @@ import { metadata_keys } from '../../../authors-note.js';
 import { extension_settings, getContext } from '../../../extensions.js';
 import { world_info_position } from '../../../world-info.js';
 import { delay } from '../../../utils.js';
+import { extractBunnyMoCharacters } from './tagParser.js';
+import { findCharacterMentions } from './characterDetection.js';
+import { describePresence } from './presence.js';
+import { isCharacterPinned, isCharacterExcluded, setCharacterPinned, setCharacterExcluded } from './chatState.js';
 
 function logSeq(message) {
     console.log(`[BMT WORLD] ${message}`);
@@ -52,6 +56,31 @@ function getEffectiveScanDepth(entry) {
     return scanDepthOverride !== null ? scanDepthOverride : (entry.scanDepth || 5);
 }
 
+/**
+ * Find where the characters described by an entry are named in the messages it could have scanned,
+ * so the panel can show what actually matched instead of just the entry's keys
+ */
+function findCharacterNameMatches(entry, characters) {
+    if (characters.length === 0 || !Array.isArray(chat) || chat.length === 0) return [];
+    
+    const caseSensitive = extension_settings.BunnyMoTags?.caseSensitiveNames ?? false;
+    const firstIndex = Math.max(0, chat.length - getEffectiveScanDepth(entry));
+    const results = [];
+    
+    for (let messageIndex = firstIndex; messageIndex < chat.length; messageIndex++) {
+        const message = chat[messageIndex];
+        if (!message?.mes || message.name === 'BunnyMoTags') continue;
+        
+        findCharacterMentions(message.mes, characters, { caseSensitive }).forEach(({ matches }) => {
+            matches.forEach(match => {
+                results.push({ ...match, messageIndex, speaker: message.name });
+            });
+        });
+    }
+    
+    return results;
+}
+
 // Clean strategy indicators
 const strategy = {
     constant: '🥕',
@@ -1889,6 +1918,56 @@ const createBunnyMoWorldInfo = () => {
                 bunnyMoBadge.title = 'Powered by BunnyMoTags - Enhanced WorldInfo with cute theming!';
                 badgesDiv.appendChild(bunnyMoBadge);
                 
+                // Show which character names actually matched in chat (and where)
+                if (entry.bunnyMoMatches && entry.bunnyMoMatches.length > 0) {
+                    const matchBadge = document.createElement('span');
+                    matchBadge.classList.add('bmwi-entry-badge');
+                    const matchedTexts = [...new Set(entry.bunnyMoMatches.map(match => match.text))];
+                    matchBadge.textContent = `🎯 ${matchedTexts.slice(0, 3).join(', ')}${matchedTexts.length > 3 ? '…' : ''}`;
+                    matchBadge.title = '🎯 Character name matches\n\n' + entry.bunnyMoMatches
+                        .slice(0, 15)
+                        .map(match => `• "${match.text}" → ${match.name} (message #${match.messageIndex}${match.speaker ? ` by ${match.speaker}` : ''}, chars ${match.index}-${match.end})`)
+                        .join('\n');
+                    badgesDiv.appendChild(matchBadge);
+                }
+                
+                // Show remaining presence so users can see why a character is still injected
+                const presentCharacters = (entry.bunnyMoCharacterNames || [])
+                    .map(name => ({ name, ...describePresence(name) }))
+                    .filter(presence => presence.present);
+                if (presentCharacters.length > 0 && (extension_settings.BunnyMoTags?.presenceEnabled ?? true)) {
+                    const presenceBadge = document.createElement('span');
+                    presenceBadge.classList.add('bmwi-entry-badge');
+                    presenceBadge.textContent = '🫧 ' + presentCharacters.map(presence => `${presentCharacters.length > 1 ? presence.name + ' ' : ''}${presence.score}/${presence.max}`).join(', ');
+                    presenceBadge.title = '🫧 Presence\n\nMentions and speaking raise presence, every message lowers it. Characters with presence stay injected.\n\n' + presentCharacters
+                        .map(presence => `• ${presence.name}: ${presence.score}/${presence.max} (${presence.messagesLeft} more message${presence.messagesLeft === 1 ? '' : 's'})`)
+                        .join('\n');
+                    badgesDiv.appendChild(presenceBadge);
+                }
+                
+                // Per-chat pin / exclude toggles for each character in the entry
+                (entry.bunnyMoCharacterNames || []).forEach(name => {
+                    const label = entry.bunnyMoCharacterNames.length > 1 ? ` ${name}` : '';
+                    [
+                        { icon: '📌', title: `Pin ${name}: always inject in this chat`, isActive: isCharacterPinned, setActive: setCharacterPinned },
+                        { icon: '🚫', title: `Exclude ${name}: never inject in this chat, even when named`, isActive: isCharacterExcluded, setActive: setCharacterExcluded }
+                    ].forEach(toggle => {
+                        const toggleBadge = document.createElement('span');
+                        toggleBadge.classList.add('bmwi-entry-badge', 'bmwi-chat-list-badge');
+                        toggleBadge.textContent = toggle.icon + label;
+                        toggleBadge.title = toggle.title;
+                        toggleBadge.style.cursor = 'pointer';
+                        toggleBadge.style.opacity = toggle.isActive(name) ? '1' : '0.45';
+                        toggleBadge.addEventListener('click', (evt) => {
+                            evt.stopPropagation();
+                            toggle.setActive(name, !toggle.isActive(name));
+                            logSeq(`${toggle.icon} ${name}: pinned=${isCharacterPinned(name)}, excluded=${isCharacterExcluded(name)}`);
+                            updatePanel(currentEntries);
+                        });
+                        badgesDiv.appendChild(toggleBadge);
+                    });
+                });
+                
                 // Add "Highlight in Chat" button if we have debug info with triggering messages
                 if (entry.debugInfo && entry.debugInfo.triggeringMessages && entry.debugInfo.triggeringMessages.length > 0) {
                     const highlightBadge = document.createElement('span');
@@ -2585,6 +2664,20 @@ export function initBunnyMoWorldInfo(bunnyMoScannedCharacters) {
             // Limit number of entries processed to prevent crashes
             const limitedEntries = Array.isArray(entryList) ? entryList.slice(0, 100) : [];
             
+            // Record the characters in BunnyMo character entries and which of their names matched
+            limitedEntries.forEach(entry => {
+                try {
+                    if (entry && typeof entry === 'object' && entry.content) {
+                        const characters = extractBunnyMoCharacters(entry, entry.world)
+                            .map(character => scannedCharacters.get(character.name) || character);
+                        entry.bunnyMoCharacterNames = characters.map(character => character.name);
+                        entry.bunnyMoMatches = findCharacterNameMatches(entry, characters);
+                    }
+                } catch (matchError) {
+                    console.warn('[BMT WORLD] Error matching character names for entry:', entry, matchError);
+                }
+            });
+            
             // Add debug analysis if enabled
             const settings = extension_settings.bunnyMoWorldInfo || {};
             if (settings.debug && chat && Array.isArray(chat) && chat.length > 0) {